@@ -0,0 +1,69 @@
+/**
+ * Waiting that can be cancelled.
+ *
+ * Logins, BankID polling and retries all pause between requests, and every
+ * one of those pauses has to end early when the caller's `AbortSignal` fires.
+ */
+
+const errors = require('./errors')
+
+/**
+ * Resolve after `ms` milliseconds, or reject with an `AbortError` when
+ * `signal` is aborted first.
+ *
+ * @private
+ * @param {Number} ms
+ * @param {AbortSignal} [signal]
+ * @param {String} [message='Aborted.'] Message of the `AbortError`.
+ * @return {Promise}
+ */
+function delay(ms, signal, message = 'Aborted.') {
+  return new Promise((resolve, reject) => {
+    let timer = null
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new errors.AbortError(message, { cause: signal.reason }))
+    }
+    if (signal && signal.aborted) {
+      onAbort()
+      return
+    }
+    timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      resolve()
+    }, ms)
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true })
+    }
+  })
+}
+
+/**
+ * A signal that is aborted as soon as any of `signals` is, with its reason.
+ * Call `release()` once the signal is no longer needed, so that long-lived
+ * signals do not collect listeners.
+ *
+ * @private
+ * @param {Array<AbortSignal>} signals Missing ones are skipped.
+ * @return {Object} `{ signal, release }`
+ */
+function combine(signals) {
+  const sources = signals.filter(Boolean)
+  const controller = new AbortController()
+  const onAbort = event => controller.abort(event.target.reason)
+  const release = () => sources.forEach(source => source.removeEventListener('abort', onAbort))
+  const aborted = sources.find(source => source.aborted)
+  if (aborted) {
+    controller.abort(aborted.reason)
+    return { signal: controller.signal, release }
+  }
+  sources.forEach(source => source.addEventListener('abort', onAbort, { once: true }))
+  return { signal: controller.signal, release }
+}
+
+module.exports = {
+  delay,
+  combine,
+}
@@ -0,0 +1,70 @@
+/**
+ * BankID login.
+ *
+ * The web app starts a BankID order, shows a QR code that changes every
+ * second (or opens the BankID app with the autostart token) and polls the
+ * collect endpoint until the order completes or fails. These helpers drive
+ * the polling, the client does the requests.
+ */
+
+const abort = require('./abort')
+const errors = require('./errors')
+
+const DEFAULT_POLL_INTERVAL_MS = 1000
+
+const COMPLETE = 'COMPLETE'
+
+const ABORTED = 'BankID login was aborted.'
+
+// Collect states that mean the user has yet to act, everything else but COMPLETE is a failure
+const PENDING_STATES = ['OUTSTANDING_TRANSACTION', 'STARTED', 'USER_SIGN', 'USER_MRTD', 'NO_CLIENT']
+
+/**
+ * URL that opens the BankID app on the same device.
+ *
+ * @private
+ * @param {String} [autostartToken]
+ * @return {String|null}
+ */
+function autostartUrl(autostartToken) {
+  return autostartToken ? `bankid:///?autostarttoken=${encodeURIComponent(autostartToken)}&redirect=null` : null
+}
+
+/**
+ * Call `collect()` until the order completes.
+ *
+ * @private
+ * @param {Function} collect Returns a promise for the body of the collect endpoint.
+ * @param {Object} [options]
+ * @param {Number} [options.interval=1000] Milliseconds between polls.
+ * @param {AbortSignal} [options.signal] Stops polling with an `AbortError`.
+ * @param {Function} [options.onUpdate] Called with every body that is still pending.
+ * @return {Promise<Object>} The body of the completed order.
+ */
+function collectUntilComplete(collect, options = {}) {
+  const interval = options.interval === undefined ? DEFAULT_POLL_INTERVAL_MS : options.interval
+  const poll = () =>
+    collect().then(body => {
+      if (body.state === COMPLETE) {
+        return body
+      }
+      if (!PENDING_STATES.includes(body.state)) {
+        throw new errors.AuthenticationError(
+          `BankID login failed with state ${body.state}${body.hintCode ? ` (${body.hintCode})` : ''}.`
+        )
+      }
+      if (options.onUpdate) {
+        options.onUpdate(body)
+      }
+      return abort.delay(interval, options.signal, ABORTED).then(poll)
+    })
+  return abort.delay(0, options.signal, ABORTED).then(poll)
+}
+
+module.exports = {
+  DEFAULT_POLL_INTERVAL_MS,
+  COMPLETE,
+  PENDING_STATES,
+  autostartUrl,
+  collectUntilComplete,
+}
@@ -0,0 +1,89 @@
+/**
+ * Response cache for reference and market data.
+ *
+ * Only read-only endpoints opt in, each with its own TTL. The store is
+ * pluggable: anything implementing `get(key)`, `set(key, value, ttl)`,
+ * `delete(key)`, `clear()` and `keys()` works, and every method may return a
+ * promise, so disk or Redis backed stores fit in as well as the in-memory LRU
+ * used by default.
+ */
+
+const lru = require('./lru')
+
+// Milliseconds to keep responses, per endpoint
+const DEFAULT_TTLS = {
+  instrument: 60 * 1000,
+  orderbook: 5 * 1000,
+  orderbooks: 5 * 1000,
+  inspirationList: 5 * 60 * 1000,
+  search: 60 * 1000,
+}
+
+/**
+ * Ties a store to the per-endpoint TTLs.
+ *
+ * @private
+ * @param {Object} [options]
+ * @param {Object} [options.store] Defaults to a `MemoryCache`.
+ * @param {Number} [options.maxEntries] Size of the default store.
+ * @param {Object} [options.ttl] Overrides of `DEFAULT_TTLS`. A TTL of `0` turns caching off for that endpoint.
+ */
+class ResponseCache {
+  constructor(options = {}) {
+    this._store = options.store || new lru.MemoryCache(options)
+    this._ttls = { ...DEFAULT_TTLS, ...options.ttl }
+  }
+
+  /**
+   * Serve `fetch()` from the cache, or call it and store the result.
+   *
+   * @param {String} endpoint Key of `DEFAULT_TTLS`.
+   * @param {String} key Identifies the request within the endpoint.
+   * @param {Function} fetch Returns a promise for the response body.
+   * @return {Promise}
+   */
+  wrap(endpoint, key, fetch) {
+    const ttl = this._ttls[endpoint]
+    if (!ttl) {
+      return fetch()
+    }
+    const cacheKey = `${endpoint}:${key}`
+    return Promise.resolve()
+      .then(() => this._store.get(cacheKey))
+      .catch(() => undefined)
+      .then(cached => {
+        if (cached !== undefined) {
+          return cached
+        }
+        // A failing store must not fail the call
+        return fetch().then(value =>
+          Promise.resolve()
+            .then(() => this._store.set(cacheKey, value, ttl))
+            .then(
+              () => value,
+              () => value
+            )
+        )
+      })
+  }
+
+  /**
+   * Drop cached responses.
+   *
+   * @param {String} [endpoint] Only drop responses of this endpoint.
+   * @return {Promise}
+   */
+  invalidate(endpoint) {
+    if (!endpoint) {
+      return Promise.resolve(this._store.clear())
+    }
+    return Promise.resolve(this._store.keys()).then(keys =>
+      Promise.all(keys.filter(key => key.startsWith(`${endpoint}:`)).map(key => this._store.delete(key)))
+    )
+  }
+}
+
+module.exports = {
+  DEFAULT_TTLS,
+  ResponseCache,
+}
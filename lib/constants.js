@@ -30,6 +30,11 @@ constants.paths.ORDER_GET_PATH = '/_api/order/{0}' // Updated from _mobile to _a
 constants.paths.SEARCH_PATH = '/_api/search/filtered-search'
 constants.paths.AUTHENTICATION_PATH = '/_api/authentication/sessions/usercredentials'
 constants.paths.TOTP_PATH = '/_api/authentication/sessions/totp'
+constants.paths.BANKID_PATH = '/_api/authentication/v2/sessions/bankid'
+constants.paths.BANKID_COLLECT_PATH = '/_api/authentication/v2/sessions/bankid/collect'
+constants.paths.BANKID_LOGIN_PATH = '/_api/authentication/v2/sessions/bankid/collect/{0}'
+constants.paths.SESSION_INFO_PATH = '/_api/authentication/session/info/session'
+constants.paths.LOGOUT_PATH = '/_api/authentication/sessions/usercredentials'
 constants.paths.INSPIRATION_LIST_PATH = '/_api/marketing/inspirationlist/{0}' // Updated from _mobile to _api
 constants.paths.TRANSACTIONS_PATH = '/_api/account/transactions/{0}' // Updated from _mobile to _api
 
@@ -92,6 +97,15 @@ constants.public.POSITIONS = 'positions'
 constants.public.ORDERS = 'orders'
 constants.public.DEALS = 'deals'
 
+/**
+ * Session events, prefixed so that they never collide with push channels
+ */
+constants.public.AUTHENTICATED = 'session:authenticated'
+constants.public.REAUTHENTICATING = 'session:reauthenticating'
+constants.public.REAUTH_FAILED = 'session:reauthFailed'
+constants.public.SESSION_EXPIRED = 'session:expired'
+constants.public.LOGGED_OUT = 'session:loggedOut'
+
 /**
  * Order types
  */
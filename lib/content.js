@@ -0,0 +1,154 @@
+/**
+ * Request and response bodies.
+ *
+ * Requests carry JSON, and only when the method has a body. Responses are
+ * decompressed according to `Content-Encoding` and decoded according to
+ * `Content-Type`: JSON is parsed, text is decoded with its charset and
+ * anything else, such as PDF documents, is kept as a `Buffer`.
+ */
+
+const stream = require('stream')
+const zlib = require('zlib')
+
+const ACCEPT_ENCODING = 'gzip, deflate, br'
+
+// How a response body can be handed back, `auto` decides by `Content-Type`
+const RESPONSE_TYPES = ['auto', 'json', 'text', 'buffer', 'stream']
+
+const METHODS_WITHOUT_BODY = ['GET', 'HEAD', 'OPTIONS']
+
+/**
+ * Serialize the request body.
+ *
+ * @private
+ * @param {String} method
+ * @param {Object} [data]
+ * @return {String|null} `null` when the method does not take a body.
+ */
+function encodeBody(method, data) {
+  if (METHODS_WITHOUT_BODY.includes(String(method).toUpperCase())) {
+    return null
+  }
+  return JSON.stringify(data || {})
+}
+
+/**
+ * Split a `Content-Type` header into its media type and charset.
+ *
+ * @private
+ * @param {String} [header]
+ * @return {Object} `{ type, charset }`, both in lower case. `type` is empty when the header is missing.
+ */
+function parseContentType(header) {
+  const [type, ...parameters] = String(header || '').split(';')
+  const charset = parameters
+    .map(parameter => parameter.trim().split('='))
+    .find(([name]) => name.toLowerCase() === 'charset')
+  return {
+    type: type.trim().toLowerCase(),
+    charset: charset && charset[1] ? charset[1].replace(/"/g, '').trim().toLowerCase() : 'utf-8',
+  }
+}
+
+function isJson(type) {
+  return type === 'application/json' || type.endsWith('+json')
+}
+
+function isText(type) {
+  return (
+    type.startsWith('text/') ||
+    type.endsWith('+xml') ||
+    ['application/xml', 'application/javascript', 'application/x-www-form-urlencoded'].includes(type)
+  )
+}
+
+/**
+ * Decode text in the given charset, falling back to UTF-8 for labels Node
+ * does not know.
+ *
+ * @private
+ * @param {Buffer} buffer
+ * @param {String} charset
+ * @return {String}
+ */
+function decodeText(buffer, charset) {
+  let decoder
+  try {
+    decoder = new TextDecoder(charset)
+  } catch (e) {
+    decoder = new TextDecoder('utf-8')
+  }
+  return decoder.decode(buffer)
+}
+
+/**
+ * Decode a complete response body.
+ *
+ * Bodies without a `Content-Type` are parsed as JSON if possible and returned
+ * as text otherwise, like they always were.
+ *
+ * @private
+ * @param {Buffer} buffer
+ * @param {Object} headers Response headers.
+ * @param {String} [responseType='auto'] One of `RESPONSE_TYPES` except `stream`.
+ * @return {*}
+ * @throws {SyntaxError} When a body declared or requested as JSON does not parse.
+ */
+function decodeBody(buffer, headers, responseType = 'auto') {
+  const { type, charset } = parseContentType(headers['content-type'])
+  if (responseType === 'buffer') {
+    return buffer
+  }
+  if (responseType === 'text') {
+    return decodeText(buffer, charset)
+  }
+  if (responseType === 'json' || isJson(type)) {
+    return buffer.length ? JSON.parse(decodeText(buffer, charset)) : ''
+  }
+  if (isText(type)) {
+    return decodeText(buffer, charset)
+  }
+  if (!type) {
+    const text = decodeText(buffer, charset)
+    try {
+      return JSON.parse(text)
+    } catch (e) {
+      return text
+    }
+  }
+  return buffer
+}
+
+/**
+ * Undo the `Content-Encoding` of a response. Errors of either stream end up
+ * on the returned one.
+ *
+ * @private
+ * @param {http.IncomingMessage} response
+ * @return {stream.Readable}
+ */
+function decompress(response) {
+  const encoding = String(response.headers['content-encoding'] || '')
+    .trim()
+    .toLowerCase()
+  let decoder
+  if (encoding === 'gzip' || encoding === 'x-gzip') {
+    decoder = zlib.createGunzip()
+  } else if (encoding === 'deflate') {
+    decoder = zlib.createInflate()
+  } else if (encoding === 'br') {
+    decoder = zlib.createBrotliDecompress()
+  } else {
+    return response
+  }
+  return stream.pipeline(response, decoder, () => {})
+}
+
+module.exports = {
+  ACCEPT_ENCODING,
+  RESPONSE_TYPES,
+  encodeBody,
+  parseContentType,
+  decodeBody,
+  decompress,
+}
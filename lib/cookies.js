@@ -0,0 +1,264 @@
+/**
+ * Cookie jar following RFC 6265.
+ *
+ * Cookies are stored with their attributes and only sent to hosts and paths
+ * they match, over secure connections when marked `Secure`, and only until
+ * they expire. The same jar serves the login, REST calls and the push socket
+ * handshake, and can be exported and restored.
+ */
+
+const VERSION = 1
+
+/**
+ * Directory of a request path, used when a cookie has no valid `Path`.
+ *
+ * @private
+ * @param {String} pathname
+ * @return {String}
+ */
+function defaultPath(pathname) {
+  if (!pathname || pathname[0] !== '/') {
+    return '/'
+  }
+  const index = pathname.lastIndexOf('/')
+  return index === 0 ? '/' : pathname.slice(0, index)
+}
+
+/**
+ * @private
+ * @param {String} hostname
+ * @param {String} domain
+ * @return {Boolean}
+ */
+function domainMatches(hostname, domain) {
+  if (hostname === domain) {
+    return true
+  }
+  // IP addresses only ever match themselves
+  return hostname.endsWith(`.${domain}`) && !/^[\d.]+$|:/.test(hostname)
+}
+
+/**
+ * @private
+ * @param {String} requestPath
+ * @param {String} cookiePath
+ * @return {Boolean}
+ */
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) {
+    return true
+  }
+  return requestPath.startsWith(cookiePath) && (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/')
+}
+
+function isSecure(url) {
+  return url.protocol === 'https:' || url.protocol === 'wss:'
+}
+
+/**
+ * Parse a `Set-Cookie` header received from `url`.
+ *
+ * @private
+ * @param {String} header
+ * @param {URL} url
+ * @param {Number} [now=Date.now()]
+ * @return {Object|null} The cookie, or `null` if it is malformed or not allowed for `url`.
+ */
+function parse(header, url, now = Date.now()) {
+  const [pair, ...attributes] = String(header).split(';')
+  const separator = pair.indexOf('=')
+  if (separator < 1) {
+    return null
+  }
+  const hostname = url.hostname.toLowerCase()
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair
+      .slice(separator + 1)
+      .trim()
+      .replace(/^"(.*)"$/, '$1'),
+    domain: hostname,
+    hostOnly: true,
+    path: defaultPath(url.pathname),
+    expires: null,
+    secure: false,
+    httpOnly: false,
+    sameSite: null,
+    creation: now,
+  }
+
+  let maxAge = null
+  attributes.forEach(attribute => {
+    const index = attribute.indexOf('=')
+    const key = (index === -1 ? attribute : attribute.slice(0, index)).trim().toLowerCase()
+    const value = index === -1 ? '' : attribute.slice(index + 1).trim()
+    switch (key) {
+      case 'expires': {
+        const time = Date.parse(value)
+        if (!Number.isNaN(time)) {
+          cookie.expires = time
+        }
+        break
+      }
+      case 'max-age':
+        if (/^-?\d+$/.test(value)) {
+          maxAge = Number(value)
+        }
+        break
+      case 'domain':
+        if (value) {
+          cookie.domain = value.replace(/^\./, '').toLowerCase()
+          cookie.hostOnly = false
+        }
+        break
+      case 'path':
+        cookie.path = value[0] === '/' ? value : defaultPath(url.pathname)
+        break
+      case 'secure':
+        cookie.secure = true
+        break
+      case 'httponly':
+        cookie.httpOnly = true
+        break
+      case 'samesite':
+        cookie.sameSite = value
+        break
+      default:
+    }
+  })
+  // Max-Age wins over Expires
+  if (maxAge !== null) {
+    cookie.expires = maxAge <= 0 ? 0 : now + maxAge * 1000
+  }
+  if (!cookie.hostOnly && !domainMatches(hostname, cookie.domain)) {
+    return null
+  }
+  return cookie
+}
+
+/**
+ * @private
+ * @param {Object} [options]
+ * @param {Object} [options.cookies] A jar exported with `toJSON()` to start from.
+ */
+class CookieJar {
+  constructor(options = {}) {
+    this._cookies = options.cookies && Array.isArray(options.cookies.cookies) ? options.cookies.cookies.slice() : []
+  }
+
+  /**
+   * Store the cookies of a response. Cookies set to expire are removed.
+   *
+   * @param {String|Array<String>} [headers] `Set-Cookie` header values.
+   * @param {URL} url Where the response came from.
+   * @param {Number} [now=Date.now()]
+   * @return {Array<Object>} The cookies that were set.
+   */
+  store(headers, url, now = Date.now()) {
+    if (!headers) {
+      return []
+    }
+    return (Array.isArray(headers) ? headers : [headers])
+      .map(header => parse(header, url, now))
+      .filter(Boolean)
+      .map(cookie => {
+        const index = this._cookies.findIndex(
+          existing =>
+            existing.name === cookie.name && existing.domain === cookie.domain && existing.path === cookie.path
+        )
+        if (index !== -1) {
+          // Replacing a cookie keeps its creation time, which decides the order they are sent in
+          cookie.creation = this._cookies[index].creation
+          this._cookies.splice(index, 1)
+        }
+        if (cookie.expires === null || cookie.expires > now) {
+          this._cookies.push(cookie)
+        }
+        return cookie
+      })
+  }
+
+  /**
+   * Add a cookie for every path on the host of `url`.
+   *
+   * @param {String} name
+   * @param {String} value
+   * @param {URL} url
+   */
+  set(name, value, url) {
+    this.store(`${name}=${value}; Path=/`, url)
+  }
+
+  /**
+   * Remove cookies by name.
+   *
+   * @param {String} name
+   */
+  delete(name) {
+    this._cookies = this._cookies.filter(cookie => cookie.name !== name)
+  }
+
+  /**
+   * Remove every cookie.
+   */
+  clear() {
+    this._cookies = []
+  }
+
+  /**
+   * Cookies to send with a request to `url`, most specific path first. Drops
+   * cookies that have expired.
+   *
+   * @param {URL} url
+   * @param {Number} [now=Date.now()]
+   * @return {Array<Object>}
+   */
+  get(url, now = Date.now()) {
+    this._cookies = this._cookies.filter(cookie => cookie.expires === null || cookie.expires > now)
+    const hostname = url.hostname.toLowerCase()
+    return this._cookies
+      .filter(
+        cookie =>
+          (cookie.hostOnly ? hostname === cookie.domain : domainMatches(hostname, cookie.domain)) &&
+          pathMatches(url.pathname, cookie.path) &&
+          (!cookie.secure || isSecure(url))
+      )
+      .sort((a, b) => b.path.length - a.path.length || a.creation - b.creation)
+  }
+
+  /**
+   * The `Cookie` header for a request to `url`.
+   *
+   * @param {URL} url
+   * @return {String} Empty if there is nothing to send.
+   */
+  header(url) {
+    return this.get(url)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ')
+  }
+
+  /**
+   * Names of the stored cookies, for logging.
+   *
+   * @return {Array<String>}
+   */
+  names() {
+    return this._cookies.map(cookie => cookie.name)
+  }
+
+  /**
+   * Serialize the jar. Session cookies are included, so that a restored jar
+   * continues the same session.
+   *
+   * @return {Object}
+   */
+  toJSON() {
+    return { version: VERSION, cookies: this._cookies.map(cookie => ({ ...cookie })) }
+  }
+}
+
+module.exports = {
+  parse,
+  CookieJar,
+}
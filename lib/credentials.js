@@ -0,0 +1,158 @@
+/**
+ * Credential providers.
+ *
+ * Instead of credentials, `authenticate()` accepts a provider: a function, or
+ * an object with a `getCredentials()` method, returning (a promise for)
+ * `{ username, password, totp, totpSecret }`. The client only keeps the
+ * provider and asks it again whenever it has to log in, so the secrets are
+ * only in memory during the login itself.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+
+const errors = require('./errors')
+
+const VERSION = 1
+const CIPHER = 'aes-256-gcm'
+const KEY_LENGTH = 32
+const SALT_LENGTH = 16
+const IV_LENGTH = 12
+
+/**
+ * @private
+ * @param {*} source
+ * @return {Boolean} Whether `source` is a provider rather than plain credentials.
+ */
+function isProvider(source) {
+  return typeof source === 'function' || Boolean(source && typeof source.getCredentials === 'function')
+}
+
+/**
+ * Get credentials from a provider, or pass plain credentials through.
+ *
+ * @private
+ * @param {Function|Object} source
+ * @return {Promise<Object>}
+ */
+function resolveCredentials(source) {
+  return Promise.resolve().then(() => {
+    if (typeof source === 'function') {
+      return source()
+    }
+    if (isProvider(source)) {
+      return source.getCredentials()
+    }
+    return source
+  })
+}
+
+/**
+ * Provider reading `AVANZA_USERNAME`, `AVANZA_PASSWORD`, `AVANZA_TOTP_SECRET`
+ * and `AVANZA_TOTP` at the time of each login.
+ *
+ * @private
+ * @param {Object} [options]
+ * @param {String} [options.prefix='AVANZA_'] Prefix of the variable names.
+ * @param {Object} [options.env=process.env]
+ * @return {Function}
+ */
+function fromEnv(options = {}) {
+  const prefix = options.prefix === undefined ? 'AVANZA_' : options.prefix
+  return () => {
+    const env = options.env || process.env
+    const credentials = {
+      username: env[`${prefix}USERNAME`],
+      password: env[`${prefix}PASSWORD`],
+      totpSecret: env[`${prefix}TOTP_SECRET`],
+      totp: env[`${prefix}TOTP`],
+    }
+    Object.keys(credentials).forEach(key => {
+      if (!credentials[key]) {
+        delete credentials[key]
+      }
+    })
+    return credentials
+  }
+}
+
+function deriveKey(passphrase, salt) {
+  return Promise.resolve(typeof passphrase === 'function' ? passphrase() : passphrase).then(
+    secret =>
+      new Promise((resolve, reject) => {
+        if (!secret) {
+          reject(new errors.ValidationError('Missing passphrase.'))
+          return
+        }
+        crypto.scrypt(secret, salt, KEY_LENGTH, (error, key) => (error ? reject(error) : resolve(key)))
+      })
+  )
+}
+
+/**
+ * Encrypt credentials for `fromEncryptedFile()`, with AES-256-GCM and a key
+ * derived from `passphrase` with scrypt.
+ *
+ * @private
+ * @param {Object} credentials
+ * @param {String|Function} passphrase The passphrase, or a function returning (a promise for) it.
+ * @return {Promise<String>} Contents of the file.
+ */
+function encryptCredentials(credentials, passphrase) {
+  const salt = crypto.randomBytes(SALT_LENGTH)
+  const iv = crypto.randomBytes(IV_LENGTH)
+  return deriveKey(passphrase, salt).then(key => {
+    const cipher = crypto.createCipheriv(CIPHER, key, iv)
+    const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()])
+    return `${JSON.stringify(
+      {
+        version: VERSION,
+        cipher: CIPHER,
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+      },
+      null,
+      2
+    )}\n`
+  })
+}
+
+/**
+ * Provider reading and decrypting a file written with `encryptCredentials()`
+ * at the time of each login.
+ *
+ * @private
+ * @param {String} path
+ * @param {String|Function} passphrase The passphrase, or a function returning (a promise for) it.
+ * @return {Function}
+ */
+function fromEncryptedFile(path, passphrase) {
+  return () =>
+    fs.promises.readFile(path, 'utf8').then(text => {
+      const file = JSON.parse(text)
+      if (file.version !== VERSION || file.cipher !== CIPHER) {
+        throw new errors.ValidationError(`Unsupported credentials file ${path}.`)
+      }
+      return deriveKey(passphrase, Buffer.from(file.salt, 'base64')).then(key => {
+        const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(file.iv, 'base64'))
+        decipher.setAuthTag(Buffer.from(file.tag, 'base64'))
+        try {
+          const data = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()])
+          return JSON.parse(data.toString('utf8'))
+        } catch (e) {
+          throw new errors.ValidationError(`Could not decrypt ${path}, wrong passphrase?`, { cause: e })
+        }
+      })
+    })
+}
+
+module.exports = {
+  isProvider,
+  resolveCredentials,
+  fromEnv,
+  encryptCredentials,
+  fromEncryptedFile,
+}
@@ -0,0 +1,202 @@
+/**
+ * Error classes used to reject API calls.
+ *
+ * Every error thrown by the client extends `AvanzaError`. Failed HTTP
+ * responses become an `AvanzaHttpError` (or one of its subclasses) which keeps
+ * the `statusCode`, `statusMessage`, `headers` and `body` properties that
+ * rejections used to carry, so code inspecting those keeps working.
+ */
+
+/**
+ * Base class of all errors thrown by the client.
+ *
+ * @private
+ */
+class AvanzaError extends Error {
+  constructor(message, options) {
+    super(message, options)
+    this.name = this.constructor.name
+  }
+}
+
+/**
+ * Invalid or missing arguments, raised before anything is sent to Avanza.
+ *
+ * @private
+ */
+class ValidationError extends AvanzaError {}
+
+/**
+ * A request did not complete within its timeout. Carries the same `code` as
+ * a socket timeout, so it is retried like one.
+ *
+ * @private
+ */
+class TimeoutError extends AvanzaError {
+  constructor(message, options) {
+    super(message, options)
+    this.code = 'ETIMEDOUT'
+  }
+}
+
+/**
+ * A request was cancelled through its `AbortSignal`. The reason given to
+ * `AbortController#abort()` is available in `cause`.
+ *
+ * @private
+ */
+class AbortError extends AvanzaError {
+  constructor(message, options) {
+    super(message, options)
+    this.code = 'ABORT_ERR'
+  }
+}
+
+/**
+ * A push stream received messages faster than they were consumed and was
+ * created with the `error` overflow policy.
+ *
+ * @private
+ */
+class StreamOverflowError extends AvanzaError {}
+
+/**
+ * Pull human readable messages out of an Avanza error body. The API is not
+ * consistent here; depending on the endpoint they live in `message`,
+ * `errorMessage`, `messages` or `errors`.
+ *
+ * @private
+ * @param {*} body Parsed response body.
+ * @return {Array<String>}
+ */
+function parseMessages(body) {
+  if (!body || typeof body !== 'object') {
+    return typeof body === 'string' && body ? [body] : []
+  }
+  const messages = [body.message, body.errorMessage].filter(message => typeof message === 'string' && message)
+  const lists = [body.messages, body.errors].filter(Array.isArray)
+  lists.forEach(list => {
+    list.forEach(item => {
+      const message = typeof item === 'string' ? item : item && (item.message || item.errorMessage)
+      if (message) {
+        messages.push(message)
+      }
+    })
+  })
+  return messages
+}
+
+/**
+ * A request that Avanza answered with an unexpected response.
+ *
+ * @private
+ * @param {Object} response As built by `request()`.
+ * @param {Object} [request] `method` and `path` of the failed request.
+ */
+class AvanzaHttpError extends AvanzaError {
+  constructor(response, request = {}) {
+    const messages = parseMessages(response.body)
+    const endpoint = `${request.method} ${request.path}`
+    super(`${endpoint} failed with ${response.statusCode} ${response.statusMessage || ''}`.trim())
+    this.statusCode = response.statusCode
+    this.statusMessage = response.statusMessage
+    this.headers = response.headers || {}
+    this.body = response.body
+    this.cookies = response.cookies
+    this.method = request.method
+    this.path = request.path
+    this.endpoint = endpoint
+    this.requestId = this.headers['x-request-id'] || (response.body && response.body.requestId) || null
+    this.messages = messages
+    if (messages.length) {
+      this.message += `: ${messages.join(' ')}`
+    }
+  }
+}
+
+/**
+ * Avanza asked us to slow down (`429`). `retryAfter` holds the value of the
+ * `Retry-After` header, if any.
+ *
+ * @private
+ */
+class RateLimitError extends AvanzaHttpError {
+  constructor(response, request) {
+    super(response, request)
+    this.retryAfter = this.headers['retry-after'] || null
+  }
+}
+
+/**
+ * The session is no longer valid and could not be renewed.
+ *
+ * @private
+ */
+class SessionExpiredError extends AvanzaHttpError {}
+
+/**
+ * An order was refused, either with an error status or with an
+ * `orderRequestStatus` of `ERROR` in an otherwise successful response.
+ *
+ * @private
+ */
+class OrderRejectedError extends AvanzaHttpError {
+  constructor(response, request) {
+    super(response, request)
+    this.orderRequestStatus = (response.body && response.body.orderRequestStatus) || null
+    this.orderId = (response.body && response.body.orderId) || null
+  }
+}
+
+/**
+ * Login failed. When Avanza rejected the credentials, the response is
+ * available as an `AvanzaHttpError` in `cause`.
+ *
+ * @private
+ */
+class AuthenticationError extends AvanzaError {}
+
+/**
+ * The second factor was missing, unsupported or not accepted.
+ *
+ * @private
+ */
+class TwoFactorError extends AuthenticationError {}
+
+/**
+ * Pick the most specific error class for a failed response.
+ *
+ * @private
+ * @param {Object} response As built by `request()`.
+ * @param {Object} request `method` and `path` of the failed request.
+ * @return {AvanzaHttpError}
+ */
+function fromResponse(response, request) {
+  if (response.statusCode === 429) {
+    return new RateLimitError(response, request)
+  }
+  if (response.headers && response.headers['aza-invalid-session'] === '-') {
+    return new SessionExpiredError(response, request)
+  }
+  // Order changes live under trading-critical, or under /_api/order/ for anything but lookups
+  if (/^\/_api\/(trading-critical\/rest\/order|order)\//.test(request.path) && request.method !== 'GET') {
+    return new OrderRejectedError(response, request)
+  }
+  return new AvanzaHttpError(response, request)
+}
+
+module.exports = {
+  AvanzaError,
+  ValidationError,
+  TimeoutError,
+  AbortError,
+  StreamOverflowError,
+  AvanzaHttpError,
+  RateLimitError,
+  SessionExpiredError,
+  OrderRejectedError,
+  AuthenticationError,
+  TwoFactorError,
+  parseMessages,
+  fromResponse,
+}
@@ -0,0 +1,183 @@
+/**
+ * Structured logging with secret redaction.
+ *
+ * The client logs through a `Logger`, which adds bound fields and redacts
+ * anything sensitive before handing the entry to a sink. A sink is any object
+ * with `debug`, `info`, `warn` and `error` methods taking `(message, fields)`;
+ * missing methods are skipped.
+ */
+
+const errors = require('./errors')
+const telemetry = require('./telemetry')
+
+const LEVELS = ['debug', 'info', 'warn', 'error']
+
+const REDACTED = '[REDACTED]'
+
+// Keys whose values are never logged, compared in lower case
+const SECRET_KEYS = [
+  'password',
+  'totp',
+  'totpcode',
+  'totpsecret',
+  'securitytoken',
+  'x-securitytoken',
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'cookies',
+  'set-cookie',
+  'transactionid',
+  'pushsubscriptionid',
+]
+
+// Keys holding account numbers, which are partially masked
+const ACCOUNT_KEYS = ['accountid', 'accountnumber', 'clearingnumber', 'urlparameterid']
+
+/**
+ * Mask all but the last two characters of an account number.
+ *
+ * @private
+ * @param {*} value
+ * @return {String}
+ */
+function maskAccount(value) {
+  const text = String(value)
+  return text.length > 2 ? `${'*'.repeat(text.length - 2)}${text.slice(-2)}` : '**'
+}
+
+/**
+ * The message and endpoint of a failed request, with its path reduced to the
+ * route so that account numbers in it are not logged.
+ *
+ * @private
+ * @param {AvanzaHttpError} error
+ * @return {Object} `{ message, endpoint }`
+ */
+function maskEndpoint(error) {
+  if (typeof error.path !== 'string' || !error.path) {
+    return { message: error.message, endpoint: error.endpoint }
+  }
+  const route = telemetry.routeFor(error.path)
+  const mask = text => (typeof text === 'string' ? text.split(error.path).join(route) : text)
+  return { message: mask(error.message), endpoint: mask(error.endpoint) }
+}
+
+/**
+ * Deep copy `value` with secrets and account numbers masked. Errors are turned
+ * into plain objects so that their status and headers are redacted as well.
+ *
+ * @private
+ * @param {*} value
+ * @param {WeakSet} [seen] Guards against circular references.
+ * @return {*}
+ */
+function redact(value, seen = new WeakSet()) {
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+  if (seen.has(value)) {
+    return '[Circular]'
+  }
+  seen.add(value)
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen))
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`
+  }
+
+  const source =
+    value instanceof Error
+      ? {
+          name: value.name,
+          message: value.message,
+          code: value.code,
+          statusCode: value.statusCode,
+          endpoint: value.endpoint,
+          headers: value.headers,
+          messages: value.messages,
+          ...(value instanceof errors.AvanzaHttpError ? maskEndpoint(value) : {}),
+        }
+      : value
+
+  const result = {}
+  Object.keys(source).forEach(key => {
+    const lowerKey = key.toLowerCase()
+    if (source[key] === undefined) {
+      return
+    }
+    if (SECRET_KEYS.includes(lowerKey)) {
+      result[key] = REDACTED
+    } else if (ACCOUNT_KEYS.includes(lowerKey) && typeof source[key] !== 'object') {
+      result[key] = maskAccount(source[key])
+    } else {
+      result[key] = redact(source[key], seen)
+    }
+  })
+  return result
+}
+
+/**
+ * Sink used when no logger is given. Keeps the old behaviour of printing to
+ * stderr in development only.
+ *
+ * @private
+ */
+const consoleSink = {}
+LEVELS.forEach(level => {
+  consoleSink[level] = (message, fields) => {
+    if (process.env.NODE_ENV === 'development') {
+      // eslint-disable-next-line no-console
+      console.error(`[${level}] ${message}`, fields)
+    }
+  }
+})
+
+/**
+ * @private
+ * @param {Object|Boolean} [sink] Where to send entries. `false` discards everything.
+ * @param {Object} [fields] Fields added to every entry.
+ */
+class Logger {
+  constructor(sink, fields = {}) {
+    this._sink = sink === false ? {} : sink || consoleSink
+    this._fields = fields
+  }
+
+  /**
+   * Create a logger that adds `fields` to every entry.
+   *
+   * @param {Object} fields
+   * @return {Logger}
+   */
+  child(fields) {
+    return new Logger(this._sink, { ...this._fields, ...fields })
+  }
+
+  _log(level, message, fields) {
+    if (typeof this._sink[level] !== 'function') {
+      return
+    }
+    try {
+      this._sink[level](message, redact({ ...this._fields, ...fields }))
+    } catch (e) {
+      // A broken logger must never break a call
+    }
+  }
+}
+
+LEVELS.forEach(level => {
+  Logger.prototype[level] = function log(message, fields) {
+    this._log(level, message, fields)
+  }
+})
+
+module.exports = {
+  LEVELS,
+  REDACTED,
+  SECRET_KEYS,
+  redact,
+  Logger,
+}
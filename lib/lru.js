@@ -0,0 +1,58 @@
+/**
+ * The store the response cache uses unless it is given another one.
+ */
+
+const DEFAULT_MAX_ENTRIES = 500
+
+/**
+ * In-memory least recently used cache with per-entry expiry.
+ *
+ * @private
+ * @param {Object} [options]
+ * @param {Number} [options.maxEntries=500] Entries to keep before evicting the least recently used one.
+ */
+class MemoryCache {
+  constructor(options = {}) {
+    this._maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES
+    this._entries = new Map()
+  }
+
+  get(key) {
+    const entry = this._entries.get(key)
+    if (!entry) {
+      return undefined
+    }
+    this._entries.delete(key)
+    if (entry.expires <= Date.now()) {
+      return undefined
+    }
+    // Move to the end of the map, which marks it as most recently used
+    this._entries.set(key, entry)
+    return entry.value
+  }
+
+  set(key, value, ttl) {
+    this._entries.delete(key)
+    this._entries.set(key, { value, expires: Date.now() + ttl })
+    if (this._entries.size > this._maxEntries) {
+      this._entries.delete(this._entries.keys().next().value)
+    }
+  }
+
+  delete(key) {
+    this._entries.delete(key)
+  }
+
+  clear() {
+    this._entries.clear()
+  }
+
+  keys() {
+    return Array.from(this._entries.keys())
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_ENTRIES,
+  MemoryCache,
+}
@@ -0,0 +1,254 @@
+/**
+ * Several logins in one process.
+ *
+ * A manager holds one client per user, each with its own session, timers and
+ * push socket, under a key of your choosing. Logins are spread out in time
+ * so that Avanza does not see a burst of them, and the session events of
+ * every client are passed on with the key of the user they concern.
+ */
+
+const EventEmitter = require('events')
+
+const abort = require('./abort')
+const constants = require('./constants')
+const errors = require('./errors')
+
+const DEFAULT_STAGGER_MS = 2000
+
+// Set by the client module, which cannot be required from here without a cycle
+let DefaultClient = null
+
+const SESSION_EVENTS = [
+  constants.public.AUTHENTICATED,
+  constants.public.REAUTHENTICATING,
+  constants.public.REAUTH_FAILED,
+  constants.public.SESSION_EXPIRED,
+  constants.public.LOGGED_OUT,
+]
+
+/**
+ * @private
+ * @param {Object} [options]
+ * @param {Object} [options.clientOptions] Constructor options shared by every client.
+ * @param {Number} [options.stagger=2000] Milliseconds between the logins of `authenticateAll()`.
+ * @param {Function} [options.Client] Class of the clients, e.g. a subclass of `Avanza`. Defaults to `Avanza`.
+ */
+class ClientManager extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this._Client = options.Client || DefaultClient
+    if (typeof this._Client !== 'function') {
+      throw new errors.ValidationError('Missing the class of the clients to manage.')
+    }
+    this._clientOptions = options.clientOptions || {}
+    this._stagger = options.stagger === undefined ? DEFAULT_STAGGER_MS : options.stagger
+    this._entries = new Map()
+  }
+
+  /**
+   * Add a user.
+   *
+   * @param {String} key
+   * @param {Object|Function} credentials As for `authenticate()`, a credential provider works too.
+   * @param {Object} [options] Constructor options for this client, on top of `clientOptions`.
+   * @return {Avanza} The new client, not yet authenticated.
+   */
+  add(key, credentials, options = {}) {
+    if (this._entries.has(key)) {
+      throw new errors.ValidationError(`A client for ${key} already exists.`)
+    }
+    const client = new this._Client({ ...this._clientOptions, ...options })
+    const entry = { key, client, credentials, lastError: null }
+    this._entries.set(key, entry)
+    this._listen(entry)
+    return client
+  }
+
+  /* Pass the session events of a client on with its key, and remember how its last login went. */
+  _listen(entry) {
+    SESSION_EVENTS.forEach(event => {
+      entry.client.on(event, payload => {
+        if (event === constants.public.AUTHENTICATED) {
+          entry.lastError = null
+        } else if (event === constants.public.REAUTH_FAILED) {
+          entry.lastError = payload.error
+        }
+        this.emit(event, { key: entry.key, ...payload })
+      })
+    })
+  }
+
+  _entry(key) {
+    const entry = this._entries.get(key)
+    if (!entry) {
+      throw new errors.ValidationError(`No client for ${key}.`)
+    }
+    return entry
+  }
+
+  /**
+   * @param {String} key
+   * @return {Avanza}
+   * @throws {ValidationError} When there is no such user.
+   */
+  get(key) {
+    return this._entry(key).client
+  }
+
+  /**
+   * @param {String} key
+   * @return {Boolean}
+   */
+  has(key) {
+    return this._entries.has(key)
+  }
+
+  /**
+   * @return {Array<String>} Keys of every user, in the order they were added.
+   */
+  keys() {
+    return Array.from(this._entries.keys())
+  }
+
+  /**
+   * Log one user in.
+   *
+   * @param {String} key
+   * @param {Object} [callOptions] `signal` and `timeout` for the login requests.
+   * @return {Promise<Object>} Resolves like `authenticate()`.
+   */
+  authenticate(key, callOptions = {}) {
+    let entry
+    try {
+      entry = this._entry(key)
+    } catch (e) {
+      return Promise.reject(e)
+    }
+    return entry.client.authenticate(entry.credentials, callOptions).then(
+      session => {
+        entry.lastError = null
+        return session
+      },
+      error => {
+        entry.lastError = error
+        throw error
+      }
+    )
+  }
+
+  /**
+   * Log every user in that is not logged in already, starting one login
+   * every `stagger` milliseconds. A failed login does not stop the others.
+   *
+   * @param {Object} [callOptions] `signal` and `timeout` for the login requests. Aborting `signal` also cancels the
+   *                               logins that have not started yet.
+   * @return {Promise<Object>} Resolves with `{ [key]: { session } | { error } }` once every login has finished.
+   */
+  authenticateAll(callOptions = {}) {
+    const keys = this.keys().filter(key => !this._entries.get(key).client.getSessionState().authenticated)
+    return Promise.all(
+      keys.map((key, i) =>
+        abort
+          .delay(i * this._stagger, callOptions.signal, 'Login was aborted.')
+          .then(() => this.authenticate(key, callOptions))
+          .then(
+            session => ({ session }),
+            error => ({ error })
+          )
+      )
+    ).then(outcomes => {
+      const results = {}
+      keys.forEach((key, i) => {
+        results[key] = outcomes[i]
+      })
+      return results
+    })
+  }
+
+  /**
+   * Make a call as one user. See `call()` of the client.
+   *
+   * @param {String} key
+   * @param {...*} args Arguments of `call()`.
+   * @return {Promise}
+   */
+  call(key, ...args) {
+    return this.run(key, client => client.call(...args))
+  }
+
+  /**
+   * Run `fn` with the client of one user, e.g.
+   * `manager.run('alice', avanza => avanza.getAccountsList())`.
+   *
+   * @param {String} key
+   * @param {Function} fn Called with the client, returning (a promise for) the result.
+   * @return {Promise}
+   */
+  run(key, fn) {
+    return Promise.resolve().then(() => fn(this.get(key)))
+  }
+
+  /**
+   * The state of every client, without asking Avanza.
+   *
+   * @return {Object} `{ healthy, total, authenticated, clients }`, where `healthy` means every client is logged in
+   *                  and `clients` has `{ authenticated, expires, remaining, socketConnected, lastError }` per key.
+   */
+  health() {
+    const clients = {}
+    let authenticated = 0
+    this._entries.forEach(({ key, client, lastError }) => {
+      const state = client.getSessionState()
+      if (state.authenticated) {
+        authenticated += 1
+      }
+      clients[key] = { ...state, lastError }
+    })
+    const total = this._entries.size
+    return { healthy: total > 0 && authenticated === total, total, authenticated, clients }
+  }
+
+  /**
+   * Disconnect one user and forget about them.
+   *
+   * @param {String} key
+   * @param {Object} [options] As for `disconnect()`.
+   * @return {Promise}
+   */
+  remove(key, options = {}) {
+    let entry
+    try {
+      entry = this._entry(key)
+    } catch (e) {
+      return Promise.reject(e)
+    }
+    this._entries.delete(key)
+    return entry.client.disconnect(options)
+  }
+
+  /**
+   * Disconnect every user and forget about them.
+   *
+   * @param {Object} [options] As for `disconnect()`.
+   * @return {Promise} Resolves once every client is torn down.
+   */
+  disconnectAll(options = {}) {
+    return Promise.all(this.keys().map(key => this.remove(key, options))).then(() => undefined)
+  }
+}
+
+/**
+ * Make `Client` the class of the clients of managers that are not given one.
+ *
+ * @private
+ * @param {Function} Client
+ */
+function useClient(Client) {
+  DefaultClient = Client
+}
+
+module.exports = {
+  DEFAULT_STAGGER_MS,
+  ClientManager,
+  useClient,
+}
@@ -0,0 +1,100 @@
+/**
+ * One timed operation of the client: its events while it runs and the span
+ * that follows it.
+ */
+
+// Values of the OpenTelemetry SpanStatusCode enum
+const SPAN_STATUS_OK = 1
+const SPAN_STATUS_ERROR = 2
+
+/**
+ * Reduce an error to the fields worth reporting.
+ *
+ * @private
+ * @param {Error} error
+ * @return {Object}
+ */
+function describeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    statusCode: error.statusCode,
+  }
+}
+
+/**
+ * A single timed operation, see `Telemetry#start()`.
+ *
+ * @private
+ * @param {Telemetry} telemetry Emits the events.
+ * @param {String} type Event type emitted when the operation ends.
+ * @param {Object} fields Added to every event.
+ * @param {Object|null} span
+ */
+class Measurement {
+  constructor(telemetry, type, fields, span) {
+    this._telemetry = telemetry
+    this._type = type
+    this._fields = fields
+    this._span = span
+    this._started = Date.now()
+    this.attempts = 1
+  }
+
+  /**
+   * Record that the operation failed and is tried again.
+   *
+   * @param {Error} error
+   * @param {Number} delay Milliseconds until the next attempt.
+   */
+  retry(error, delay) {
+    this._telemetry.emit('retry', { ...this._fields, attempt: this.attempts, delay, error: describeError(error) })
+    if (this._span) {
+      this._span.addEvent('retry', { 'avanza.attempt': this.attempts, 'avanza.retry_delay': delay })
+    }
+    this.attempts += 1
+  }
+
+  /**
+   * Finish the operation.
+   *
+   * @param {Error|null} error
+   * @param {Object} [fields] Outcome, e.g. `statusCode` and `bytes`.
+   */
+  end(error, fields = {}) {
+    const event = { ...this._fields, ...fields, duration: Date.now() - this._started, attempts: this.attempts }
+    if (error) {
+      event.error = describeError(error)
+      if (event.statusCode === undefined && error.statusCode) {
+        event.statusCode = error.statusCode
+      }
+    }
+    this._telemetry.emit(this._type, event)
+
+    if (this._span) {
+      const attributes = { 'avanza.attempts': this.attempts }
+      if (event.statusCode) {
+        attributes['http.response.status_code'] = event.statusCode
+      }
+      if (event.bytes !== undefined) {
+        attributes['http.response.body.size'] = event.bytes
+      }
+      this._span.setAttributes(attributes)
+      if (error) {
+        this._span.recordException(error)
+        this._span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message })
+      } else {
+        this._span.setStatus({ code: SPAN_STATUS_OK })
+      }
+      this._span.end()
+    }
+  }
+}
+
+module.exports = {
+  SPAN_STATUS_OK,
+  SPAN_STATUS_ERROR,
+  describeError,
+  Measurement,
+}
@@ -0,0 +1,65 @@
+/**
+ * Middleware pipeline around REST requests.
+ *
+ * A middleware is a function `(req, next) => Promise<response>`. It may change
+ * `req` before passing it on with `next(req)`, return a response of its own
+ * without calling `next` at all, and inspect or replace whatever `next`
+ * resolves or rejects with. The first middleware added is the outermost one.
+ */
+
+const errors = require('./errors')
+
+/**
+ * Fill in the fields `call()` relies on, so that canned responses only need a
+ * `body`, and reject the same way `request()` does for non-2xx statuses.
+ *
+ * @private
+ * @param {Object} response
+ * @param {Object} req The request that produced the response.
+ * @return {Object}
+ */
+function normalizeResponse(response, req) {
+  const res = { statusCode: 200, statusMessage: 'OK', headers: {}, ...response }
+  if (res.statusCode < 200 || res.statusCode > 299) {
+    throw errors.fromResponse(res, req)
+  }
+  return res
+}
+
+/**
+ * Chain `middlewares` in front of `handler`.
+ *
+ * @private
+ * @param {Array<Function>} middlewares
+ * @param {Function} handler Sends the request, e.g. `request()`.
+ * @return {Function} Takes a request and returns a promise for the response.
+ */
+function compose(middlewares, handler) {
+  const dispatch = (index, req) => {
+    if (index === middlewares.length) {
+      return handler(req)
+    }
+    let called = false
+    const next = nextReq => {
+      if (called) {
+        return Promise.reject(new errors.AvanzaError('next() called multiple times.'))
+      }
+      called = true
+      return dispatch(index + 1, nextReq || req)
+    }
+    return Promise.resolve()
+      .then(() => middlewares[index](req, next))
+      .then(response => {
+        if (!response) {
+          throw new errors.AvanzaError('Middleware did not return a response.')
+        }
+        return normalizeResponse(response, req)
+      })
+  }
+  return req => dispatch(0, req)
+}
+
+module.exports = {
+  compose,
+  normalizeResponse,
+}
@@ -0,0 +1,101 @@
+/**
+ * Keep-alive connection pooling for REST calls.
+ *
+ * Each client owns one agent so that consecutive calls reuse an open
+ * connection instead of paying for a new TLS handshake every time.
+ */
+
+const http = require('http')
+const https = require('https')
+
+const proxy = require('./proxy')
+
+const DEFAULT_MAX_SOCKETS = 10
+const DEFAULT_IDLE_TIMEOUT = 30 * 1000
+
+/**
+ * A keep-alive agent that counts new and reused connections.
+ *
+ * @private
+ * @param {URL} baseUrl Decides between an HTTP and an HTTPS agent.
+ * @param {Object} [options]
+ * @param {Number} [options.maxSockets=10] Maximum number of open connections.
+ * @param {Number} [options.idleTimeout=30000] Milliseconds before an unused connection is closed.
+ * @param {URL} [options.proxy] Tunnel all connections through this proxy.
+ */
+class ConnectionPool {
+  constructor(baseUrl, options = {}) {
+    const secure = baseUrl.protocol !== 'http:'
+    const agentOptions = {
+      keepAlive: true,
+      maxSockets: options.maxSockets || DEFAULT_MAX_SOCKETS,
+      timeout: options.idleTimeout || DEFAULT_IDLE_TIMEOUT,
+    }
+    if (options.proxy) {
+      this.agent = proxy.createAgent(options.proxy, secure, agentOptions)
+    } else {
+      this.agent = secure ? new https.Agent(agentOptions) : new http.Agent(agentOptions)
+    }
+    this._sockets = new WeakSet()
+    this._created = 0
+    this._reused = 0
+  }
+
+  /**
+   * Count the connection a request ends up on.
+   *
+   * @param {http.ClientRequest} req
+   */
+  track(req) {
+    // `req.reusedSocket` misses requests that waited in the agent queue, so remember the sockets we have seen instead
+    req.once('socket', socket => {
+      if (this._sockets.has(socket)) {
+        this._reused += 1
+      } else {
+        this._sockets.add(socket)
+        this._created += 1
+      }
+    })
+  }
+
+  /**
+   * Connection counters and the current state of the agent.
+   *
+   * @return {Object}
+   */
+  stats() {
+    const count = sockets => Object.keys(sockets).reduce((sum, key) => sum + sockets[key].length, 0)
+    return {
+      created: this._created,
+      reused: this._reused,
+      active: count(this.agent.sockets),
+      idle: count(this.agent.freeSockets),
+    }
+  }
+
+  /**
+   * Close all connections. The agent opens new ones if it is used again.
+   *
+   * @return {Promise} Resolves once every connection is closed.
+   */
+  destroy() {
+    const sockets = [this.agent.sockets, this.agent.freeSockets]
+      .flatMap(group => Object.values(group))
+      .flat()
+      .filter(socket => !socket.destroyed)
+    const closed = sockets.map(
+      socket =>
+        new Promise(resolve => {
+          socket.once('close', resolve)
+        })
+    )
+    this.agent.destroy()
+    return Promise.all(closed).then(() => undefined)
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_SOCKETS,
+  DEFAULT_IDLE_TIMEOUT,
+  ConnectionPool,
+}
@@ -0,0 +1,149 @@
+/**
+ * HTTP CONNECT proxy support.
+ *
+ * Both REST calls and the push socket are tunnelled through the proxy, so
+ * TLS is still negotiated end to end with Avanza.
+ */
+
+const http = require('http')
+const https = require('https')
+const tls = require('tls')
+
+const errors = require('./errors')
+
+/**
+ * Check whether `NO_PROXY` excludes a host. Entries are host names, optionally
+ * with a port, that match the host itself and all of its subdomains. `*`
+ * matches everything.
+ *
+ * @private
+ * @param {URL} target
+ * @param {String} [noProxy] Comma or space separated list.
+ * @return {Boolean}
+ */
+function isExcluded(target, noProxy) {
+  if (!noProxy) {
+    return false
+  }
+  const hostname = target.hostname.toLowerCase()
+  const port = target.port || (target.protocol === 'http:' || target.protocol === 'ws:' ? '80' : '443')
+  return noProxy
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .some(entry => {
+      if (entry === '*') {
+        return true
+      }
+      const [entryHost, entryPort] = entry.toLowerCase().split(':')
+      if (entryPort && entryPort !== port) {
+        return false
+      }
+      const suffix = entryHost.replace(/^\*?\./, '')
+      return hostname === suffix || hostname.endsWith(`.${suffix}`)
+    })
+}
+
+/**
+ * Find the proxy to use for a target, from the `proxy` option or the
+ * `HTTPS_PROXY`, `HTTP_PROXY` and `NO_PROXY` environment variables.
+ *
+ * @private
+ * @param {String|Boolean} [option] Proxy URL, or `false` to ignore the environment.
+ * @param {URL} target
+ * @param {Object} [env=process.env]
+ * @return {URL|null}
+ */
+function resolveProxy(option, target, env = process.env) {
+  if (option === false) {
+    return null
+  }
+  const secure = target.protocol === 'https:' || target.protocol === 'wss:'
+  const value =
+    option ||
+    (secure ? env.HTTPS_PROXY || env.https_proxy : env.HTTP_PROXY || env.http_proxy) ||
+    env.ALL_PROXY ||
+    env.all_proxy
+  if (!value || isExcluded(target, env.NO_PROXY || env.no_proxy)) {
+    return null
+  }
+  const proxy = new URL(value.includes('://') ? value : `http://${value}`)
+  if (proxy.protocol !== 'http:') {
+    throw new errors.ValidationError(`Unsupported proxy protocol ${proxy.protocol} in ${proxy.origin}.`)
+  }
+  return proxy
+}
+
+/**
+ * Open a tunnel to `host:port` through the proxy.
+ *
+ * @private
+ * @param {URL} proxy
+ * @param {String} host
+ * @param {Number} port
+ * @param {Function} callback Called with `(error, socket)`.
+ */
+function connect(proxy, host, port, callback) {
+  const headers = { Host: `${host}:${port}` }
+  if (proxy.username) {
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`
+    headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`
+  }
+  const req = http.request({
+    host: proxy.hostname,
+    port: proxy.port || 80,
+    method: 'CONNECT',
+    path: `${host}:${port}`,
+    headers,
+  })
+  req.once('connect', (response, socket) => {
+    if (response.statusCode !== 200) {
+      socket.destroy()
+      callback(
+        new errors.AvanzaError(`Proxy ${proxy.host} refused to connect to ${host}:${port} (${response.statusCode}).`)
+      )
+      return
+    }
+    callback(null, socket)
+  })
+  req.once('error', callback)
+  req.end()
+}
+
+/**
+ * Create an agent that sends every connection through the proxy.
+ *
+ * @private
+ * @param {URL} proxy
+ * @param {Boolean} secure Whether to speak TLS with the target through the tunnel.
+ * @param {Object} [agentOptions] Passed on to `http.Agent` or `https.Agent`.
+ * @return {http.Agent}
+ */
+function createAgent(proxy, secure, agentOptions = {}) {
+  const Agent = secure ? https.Agent : http.Agent
+  const agent = new Agent(agentOptions)
+  agent.createConnection = (options, callback) => {
+    const port = options.port || (secure ? 443 : 80)
+    connect(proxy, options.host, port, (error, socket) => {
+      if (error) {
+        callback(error)
+        return
+      }
+      if (!secure) {
+        callback(null, socket)
+        return
+      }
+      const tlsSocket = tls.connect({ ...options, socket, servername: options.servername || options.host })
+      callback(null, tlsSocket)
+    })
+    // The socket is handed over through the callback
+    return undefined
+  }
+  agent.proxy = proxy
+  return agent
+}
+
+module.exports = {
+  isExcluded,
+  resolveProxy,
+  createAgent,
+}
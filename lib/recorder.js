@@ -0,0 +1,214 @@
+/**
+ * Record and replay of REST calls and push messages.
+ *
+ * In record mode every request that reaches the network is stored together
+ * with its response, and every push message with its channel. Secrets and
+ * usernames are redacted before anything is kept. In replay mode the same
+ * file answers REST calls and feeds a fake push socket, so a session can be
+ * played back without network access.
+ *
+ * A recording is a JSON file on the form
+ * `{ version, requests: [{ request, response }], push: [{ channel, data }] }`.
+ * Binary bodies are kept as base64, streamed responses are not recorded.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const stream = require('stream')
+
+const errors = require('./errors')
+const logger = require('./logger')
+const replay = require('./replay')
+
+const VERSION = 1
+const MODES = ['record', 'replay']
+
+// Usernames are often personal identity numbers, which have no place in a fixture
+const SECRET_KEYS = [...logger.SECRET_KEYS, 'username']
+
+/**
+ * Copy `value` with secrets replaced. Cookie values in `Set-Cookie` headers are
+ * redacted one by one so that the cookie names survive.
+ *
+ * @private
+ * @param {*} value
+ * @return {*}
+ */
+function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets)
+  }
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+  const result = {}
+  Object.keys(value).forEach(key => {
+    const lowerKey = key.toLowerCase()
+    if (lowerKey === 'set-cookie') {
+      const cookies = Array.isArray(value[key]) ? value[key] : [value[key]]
+      result[key] = cookies.map(cookie => cookie.replace(/^([^=;]*)=[^;]*/, `$1=${logger.REDACTED}`))
+    } else if (SECRET_KEYS.includes(lowerKey)) {
+      result[key] = logger.REDACTED
+    } else {
+      result[key] = redactSecrets(value[key])
+    }
+  })
+  return result
+}
+
+/**
+ * Key identifying a request within a recording. Built from the redacted
+ * request, so that replays match whatever password or code is sent.
+ *
+ * @private
+ * @param {Object} req
+ * @return {String}
+ */
+function requestKey(req) {
+  return `${req.method} ${req.path} ${JSON.stringify(req.data || {})}`
+}
+
+/**
+ * @private
+ * @param {Object} options
+ * @param {String} options.mode `record` or `replay`.
+ * @param {String} options.path File to write to or read from.
+ * @param {Function} [options.redact] Further redaction, called with every entry before it is recorded and returning
+ *                                    the entry to keep.
+ */
+class Recorder {
+  constructor(options = {}) {
+    if (!MODES.includes(options.mode)) {
+      throw new errors.ValidationError(`Recording mode must be one of ${MODES.join(', ')}.`)
+    }
+    if (!options.path) {
+      throw new errors.ValidationError('Missing recording path.')
+    }
+    this.mode = options.mode
+    this._path = options.path
+    this._redact = options.redact || (entry => entry)
+    this._requests = []
+    this._push = []
+    this._served = new Map()
+
+    if (this.mode === 'replay') {
+      let recording
+      try {
+        recording = JSON.parse(fs.readFileSync(this._path, 'utf8'))
+      } catch (e) {
+        throw new errors.ValidationError(`Could not read recording ${this._path}.`, { cause: e })
+      }
+      this._requests = recording.requests || []
+      this._push = recording.push || []
+    }
+
+    this.middleware = (req, next) => (this.mode === 'record' ? this._record(req, next) : this._replay(req))
+  }
+
+  _record(req, next) {
+    const request = redactSecrets({ method: req.method, path: req.path, data: req.data || {} })
+    const store = response => {
+      if (response.body instanceof stream.Readable) {
+        // Recording would consume the stream, streamed downloads are left out
+        return
+      }
+      const recorded = redactSecrets({
+        statusCode: response.statusCode,
+        statusMessage: response.statusMessage,
+        headers: response.headers,
+      })
+      if (Buffer.isBuffer(response.body)) {
+        recorded.body = response.body.toString('base64')
+        recorded.bodyEncoding = 'base64'
+      } else {
+        recorded.body = redactSecrets(response.body)
+      }
+      this._requests.push(this._redact({ request, response: recorded }))
+    }
+    return next(req).then(
+      response => {
+        store(response)
+        return response
+      },
+      error => {
+        // Failed responses are replayed as well, errors without one never reached Avanza
+        if (error.statusCode) {
+          store(error)
+        }
+        throw error
+      }
+    )
+  }
+
+  _replay(req) {
+    const key = requestKey(redactSecrets({ method: req.method, path: req.path, data: req.data || {} }))
+    const matches = this._requests.filter(entry => requestKey(entry.request) === key)
+    if (!matches.length) {
+      return Promise.reject(new errors.AvanzaError(`No recorded response for ${req.method} ${req.path}.`))
+    }
+    // Identical requests get their responses in recorded order, the last one repeats
+    const served = this._served.get(key) || 0
+    this._served.set(key, served + 1)
+    const { bodyEncoding, ...response } = matches[Math.min(served, matches.length - 1)].response
+    if (bodyEncoding === 'base64') {
+      response.body = Buffer.from(response.body, 'base64')
+    }
+    if (req.responseType === 'stream') {
+      response.body = stream.Readable.from([
+        Buffer.isBuffer(response.body) ? response.body : JSON.stringify(response.body),
+      ])
+    }
+    return Promise.resolve(response)
+  }
+
+  /**
+   * Keep a push message received on the socket.
+   *
+   * @param {String} channel
+   * @param {*} data
+   */
+  recordPush(channel, data) {
+    this._push.push(this._redact(redactSecrets({ channel, data })))
+  }
+
+  /**
+   * Remove and return the recorded push messages of a channel.
+   *
+   * @param {String} channel
+   * @return {Array<Object>}
+   */
+  takePush(channel) {
+    const messages = this._push.filter(message => message.channel === channel)
+    this._push = this._push.filter(message => message.channel !== channel)
+    return messages
+  }
+
+  /**
+   * Create a socket that replays push messages.
+   *
+   * @return {replay.ReplaySocket}
+   */
+  createSocket() {
+    return new replay.ReplaySocket(this)
+  }
+
+  /**
+   * Write what has been recorded so far. Does nothing in replay mode.
+   */
+  save() {
+    if (this.mode !== 'record') {
+      return
+    }
+    fs.mkdirSync(path.dirname(this._path), { recursive: true })
+    fs.writeFileSync(
+      this._path,
+      `${JSON.stringify({ version: VERSION, requests: this._requests, push: this._push }, null, 2)}\n`
+    )
+  }
+}
+
+module.exports = {
+  VERSION,
+  redactSecrets,
+  Recorder,
+}
@@ -0,0 +1,86 @@
+/**
+ * The push socket of replay mode, which plays the part of Avanza's CometD
+ * server from a recording.
+ */
+
+const EventEmitter = require('events')
+
+// Milliseconds the replay socket holds on to a `/meta/connect`, like a long poll
+const CONNECT_INTERVAL_MS = 25 * 1000
+
+/**
+ * Stand-in for the `ws` socket during replay. Answers the CometD handshake,
+ * connect and subscribe messages, and delivers the recorded messages of a
+ * channel once it is subscribed to.
+ *
+ * @private
+ * @param {Recorder} recorder Hands out the recorded messages of a channel.
+ */
+class ReplaySocket extends EventEmitter {
+  constructor(recorder) {
+    super()
+    this.OPEN = 1
+    this.CLOSED = 3
+    this.readyState = this.OPEN
+    this._recorder = recorder
+    this._connects = 0
+    this._timers = new Set()
+    this._defer(() => this.emit('open'))
+  }
+
+  _defer(fn, delay = 0) {
+    const timer = setTimeout(() => {
+      this._timers.delete(timer)
+      fn()
+    }, delay)
+    this._timers.add(timer)
+  }
+
+  _reply(messages) {
+    this._defer(() => this.emit('message', JSON.stringify(messages)))
+  }
+
+  send(payload) {
+    JSON.parse(payload).forEach(message => {
+      switch (message.channel) {
+        case '/meta/handshake':
+          this._reply([{ channel: message.channel, successful: true, clientId: 'replay', id: message.id }])
+          break
+        case '/meta/connect':
+          this._connects += 1
+          this._defer(
+            () =>
+              this.emit('message', JSON.stringify([{ channel: message.channel, successful: true, id: message.id }])),
+            this._connects > 1 ? CONNECT_INTERVAL_MS : 0
+          )
+          break
+        case '/meta/subscribe':
+          this._reply([
+            { channel: message.channel, successful: true, subscription: message.subscription, id: message.id },
+            ...this._recorder.takePush(message.subscription),
+          ])
+          break
+        case '/meta/unsubscribe':
+          this._reply([
+            { channel: message.channel, successful: true, subscription: message.subscription, id: message.id },
+          ])
+          break
+        case '/meta/disconnect':
+          this._reply([{ channel: message.channel, successful: true, id: message.id }])
+          break
+        default:
+      }
+    })
+  }
+
+  terminate() {
+    this.readyState = this.CLOSED
+    this._timers.forEach(clearTimeout)
+    this._timers.clear()
+    this.emit('close')
+  }
+}
+
+module.exports = {
+  ReplaySocket,
+}
@@ -0,0 +1,140 @@
+/**
+ * Retry policy for transient HTTP failures.
+ *
+ * Only idempotent methods are retried by default. Anything else, most notably
+ * order placement, must explicitly opt in per call so that a request is never
+ * silently submitted twice.
+ */
+
+const abort = require('./abort')
+
+const DEFAULT_POLICY = {
+  maxAttempts: 3, // Total attempts, including the first one
+  minDelay: 250,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: true,
+  methods: ['GET', 'HEAD', 'OPTIONS'],
+  statusCodes: [408, 429, 500, 502, 503, 504],
+  errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+}
+
+/**
+ * Combine the client-wide policy with a per-call override.
+ *
+ * @private
+ * @param {Object|Boolean} clientPolicy Policy given to the constructor, or `false` to disable retries.
+ * @param {Object|Boolean} [override] Per-call policy. `true` opts in with the client policy, `false` opts out.
+ * @param {String} method HTTP method of the request.
+ * @return {Object|null} The effective policy, or `null` if the request should not be retried.
+ */
+function resolvePolicy(clientPolicy, override, method) {
+  if (override === false || (clientPolicy === false && !override)) {
+    return null
+  }
+  const policy = {
+    ...DEFAULT_POLICY,
+    ...(typeof clientPolicy === 'object' ? clientPolicy : {}),
+    ...(typeof override === 'object' ? override : {}),
+  }
+  // Non-idempotent methods are only retried when the caller explicitly asks for it
+  if (!override && !policy.methods.includes(method.toUpperCase())) {
+    return null
+  }
+  return policy
+}
+
+/**
+ * Parse a `Retry-After` header into milliseconds.
+ *
+ * @private
+ * @param {String} [value] Either delay-seconds or an HTTP date.
+ * @return {Number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000
+  }
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Check whether a rejection from `request()` is worth retrying.
+ *
+ * @private
+ * @param {Object} policy
+ * @param {Object} error Either a rejected response or a socket error.
+ * @return {Boolean}
+ */
+function isRetryable(policy, error) {
+  if (!error) {
+    return false
+  }
+  if (error.statusCode) {
+    return policy.statusCodes.includes(error.statusCode)
+  }
+  return policy.errorCodes.includes(error.code)
+}
+
+/**
+ * Compute how long to wait before the next attempt.
+ *
+ * @private
+ * @param {Object} policy
+ * @param {Number} attempt The attempt that just failed, starting at 1.
+ * @param {Object} error
+ * @return {Number} Delay in milliseconds, or -1 if we should give up.
+ */
+function retryDelay(policy, attempt, error) {
+  if (attempt >= policy.maxAttempts || !isRetryable(policy, error)) {
+    return -1
+  }
+
+  const retryAfter = parseRetryAfter(error.headers && error.headers['retry-after'])
+  if (retryAfter !== null) {
+    // Don't hang around if the server asks us to come back much later
+    return retryAfter > policy.maxDelay ? -1 : retryAfter
+  }
+
+  const delay = Math.min(policy.maxDelay, policy.minDelay * policy.factor ** (attempt - 1))
+  return policy.jitter ? Math.round(delay / 2 + (Math.random() * delay) / 2) : delay
+}
+
+/**
+ * Run `fn` until it resolves or the policy gives up.
+ *
+ * @private
+ * @param {Function} fn Returns a promise for a single attempt.
+ * @param {Object|null} policy As returned by `resolvePolicy()`.
+ * @param {Function} [onRetry] Called with `(error, attempt, delay)` before each new attempt.
+ * @param {AbortSignal} [signal] Stops waiting for the next attempt when aborted.
+ * @param {Number} [attempt=1]
+ * @return {Promise}
+ */
+function withRetry(fn, policy, onRetry, signal, attempt = 1) {
+  return fn().catch(error => {
+    const delay = policy ? retryDelay(policy, attempt, error) : -1
+    if (delay < 0 || (signal && signal.aborted)) {
+      throw error
+    }
+    if (onRetry) {
+      onRetry(error, attempt, delay)
+    }
+    return abort
+      .delay(delay, signal, 'Request aborted while waiting to retry.')
+      .then(() => withRetry(fn, policy, onRetry, signal, attempt + 1))
+  })
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  parseRetryAfter,
+  isRetryable,
+  retryDelay,
+  withRetry,
+}
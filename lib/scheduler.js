@@ -0,0 +1,239 @@
+/**
+ * Client-side rate limiting for REST calls.
+ *
+ * Every request belongs to an endpoint group with its own token bucket and
+ * concurrency budget. On top of that a global concurrency limit decides which
+ * queued request gets the next free slot, highest priority first, so that
+ * trading requests are never stuck behind a burst of market data lookups.
+ */
+
+const errors = require('./errors')
+
+const DEFAULT_CONCURRENCY = 6
+
+const DEFAULT_GROUPS = {
+  trading: { rate: 10, burst: 10, concurrency: 2, priority: 2 },
+  account: { rate: 5, burst: 10, concurrency: 3, priority: 1 },
+  market: { rate: 10, burst: 20, concurrency: 4, priority: 0 },
+}
+
+/**
+ * Find the endpoint group a request belongs to.
+ *
+ * @private
+ * @param {String} method HTTP method of the request.
+ * @param {String} path Request path, with or without a query string.
+ * @return {String} One of `trading`, `account` or `market`.
+ */
+function groupFor(method, path) {
+  // Order lookups share their path prefix with orderbook data, so only changes to orders count as trading
+  if (/^\/_api\/trading-critical\//.test(path) || (/^\/_api\/order\//.test(path) && method !== 'GET')) {
+    return 'trading'
+  }
+  if (/^\/_api\/(account|position-data|usercontent)/.test(path)) {
+    return 'account'
+  }
+  return 'market'
+}
+
+/**
+ * Top up the token bucket of a group for the time passed since the last refill.
+ *
+ * @private
+ * @param {Object} group
+ */
+function refill(group) {
+  const now = Date.now()
+  group.tokens = Math.min(group.burst, group.tokens + ((now - group.refilledAt) * group.rate) / 1000)
+  group.refilledAt = now
+}
+
+/**
+ * Check that a limit lets requests through at all. A rate or concurrency of
+ * zero, or a burst below one, would keep requests queued forever.
+ *
+ * @private
+ * @param {String} name Setting, for the error message.
+ * @param {*} value
+ * @param {Number} min Smallest value allowed, or `0` for any positive number.
+ * @throws {ValidationError}
+ */
+function checkLimit(name, value, min) {
+  if (typeof value !== 'number' || Number.isNaN(value) || (min ? value < min : value <= 0)) {
+    throw new errors.ValidationError(
+      `Rate limit ${name} must be ${min ? `at least ${min}` : 'a positive number'}, got ${value}.`
+    )
+  }
+}
+
+/**
+ * Token bucket and concurrency limiter with a shared priority queue.
+ *
+ * @private
+ * @param {Object} [options]
+ * @param {Number} [options.concurrency=6] Maximum number of requests in flight across all groups.
+ * @param {Object} [options.groups] Per-group overrides of `rate` (requests per second), `burst`, `concurrency` and
+ *                                  `priority`, keyed by group name.
+ * @param {Function} [options.onChange] Called with `stats()` whenever the queue changes.
+ * @throws {ValidationError} When a `rate` or `concurrency` is not positive, or a `burst` is below one.
+ */
+class Scheduler {
+  constructor(options = {}) {
+    const groups = options.groups || {}
+    this._concurrency = options.concurrency === undefined ? DEFAULT_CONCURRENCY : options.concurrency
+    checkLimit('concurrency', this._concurrency, 1)
+    this._onChange = options.onChange
+    this._groups = {}
+    Object.keys({ ...DEFAULT_GROUPS, ...groups }).forEach(name => {
+      const settings = { ...DEFAULT_GROUPS.market, ...DEFAULT_GROUPS[name], ...groups[name] }
+      checkLimit(`rate of ${name}`, settings.rate, 0)
+      checkLimit(`burst of ${name}`, settings.burst, 1)
+      checkLimit(`concurrency of ${name}`, settings.concurrency, 1)
+      this._groups[name] = { ...settings, tokens: settings.burst, refilledAt: Date.now(), active: 0 }
+    })
+    this._queue = []
+    this._active = 0
+    this._timer = null
+  }
+
+  /**
+   * Queue `fn` and run it once its group and the global limit allow.
+   *
+   * @param {String} group Endpoint group, see `groupFor()`.
+   * @param {Number} [priority] Higher runs first. Defaults to the priority of the group.
+   * @param {Function} fn Returns a promise for the request.
+   * @param {AbortSignal} [signal] Removes the request from the queue when aborted before it started.
+   * @return {Promise}
+   */
+  schedule(group, priority, fn, signal) {
+    if (!this._groups[group]) {
+      return Promise.reject(new errors.ValidationError(`Unknown request group ${group}.`))
+    }
+    if (priority === undefined) {
+      priority = this._groups[group].priority
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(new errors.AbortError('Request aborted before it was sent.', { cause: signal.reason }))
+    }
+    return new Promise((resolve, reject) => {
+      const task = { group, priority, fn, resolve, reject, signal }
+      if (signal) {
+        task.onAbort = () => {
+          const index = this._queue.indexOf(task)
+          if (index !== -1) {
+            this._queue.splice(index, 1)
+            reject(new errors.AbortError('Request aborted before it was sent.', { cause: signal.reason }))
+            this._drain()
+          }
+        }
+        signal.addEventListener('abort', task.onAbort, { once: true })
+      }
+      // Keep the queue ordered by priority, first in first out within the same priority
+      const index = this._queue.findIndex(queued => queued.priority < priority)
+      this._queue.splice(index === -1 ? this._queue.length : index, 0, task)
+      this._drain()
+    })
+  }
+
+  /**
+   * Current queue depth and in-flight requests, in total and per group.
+   *
+   * @return {Object}
+   */
+  stats() {
+    const groups = {}
+    Object.keys(this._groups).forEach(name => {
+      groups[name] = {
+        active: this._groups[name].active,
+        pending: this._queue.filter(task => task.group === name).length,
+      }
+    })
+    return { active: this._active, pending: this._queue.length, groups }
+  }
+
+  /**
+   * Reject every queued request and stop waiting for tokens. Requests in
+   * flight are left to finish.
+   *
+   * @param {Error} error
+   */
+  clear(error) {
+    clearTimeout(this._timer)
+    this._timer = null
+    const queue = this._queue
+    this._queue = []
+    queue.forEach(task => {
+      if (task.signal) {
+        task.signal.removeEventListener('abort', task.onAbort)
+      }
+      task.reject(error)
+    })
+    if (queue.length && this._onChange) {
+      this._onChange(this.stats())
+    }
+  }
+
+  _drain() {
+    clearTimeout(this._timer)
+    this._timer = null
+    let wait = Infinity
+
+    for (let i = 0; i < this._queue.length && this._active < this._concurrency; ) {
+      const task = this._queue[i]
+      const group = this._groups[task.group]
+      refill(group)
+
+      if (group.active >= group.concurrency) {
+        i += 1
+      } else if (group.tokens < 1) {
+        wait = Math.min(wait, Math.ceil(((1 - group.tokens) * 1000) / group.rate))
+        i += 1
+      } else {
+        this._queue.splice(i, 1)
+        this._run(task, group)
+      }
+    }
+
+    if (wait !== Infinity) {
+      this._timer = setTimeout(() => this._drain(), wait)
+    }
+    if (this._onChange) {
+      this._onChange(this.stats())
+    }
+  }
+
+  _run(task, group) {
+    if (task.signal) {
+      task.signal.removeEventListener('abort', task.onAbort)
+    }
+    group.tokens -= 1
+    group.active += 1
+    this._active += 1
+
+    const done = () => {
+      group.active -= 1
+      this._active -= 1
+      this._drain()
+    }
+
+    Promise.resolve()
+      .then(() => task.fn())
+      .then(
+        result => {
+          done()
+          task.resolve(result)
+        },
+        error => {
+          done()
+          task.reject(error)
+        }
+      )
+  }
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_GROUPS,
+  groupFor,
+  Scheduler,
+}
@@ -0,0 +1,164 @@
+/**
+ * Push messages as an async iterable.
+ *
+ * A subscription buffers the messages of a channel until they are read with
+ * `for await`, and unsubscribes when the loop ends, whether by `break`, an
+ * exception, the client disconnecting or its `AbortSignal`. The buffer is
+ * bounded, and what happens when it is full is up to the overflow policy.
+ */
+
+const errors = require('./errors')
+
+const DEFAULT_BUFFER_SIZE = 100
+
+// `dropOldest` keeps the latest messages, which is what a quote or order depth feed wants
+const OVERFLOW_POLICIES = ['dropOldest', 'dropNewest', 'error']
+
+/**
+ * @private
+ * @param {Function} start Called with `(push, end)` to subscribe, returning a function that unsubscribes.
+ * @param {Object} [options]
+ * @param {Number} [options.bufferSize=100] Messages to keep while nobody reads.
+ * @param {String} [options.overflow='dropOldest'] One of `OVERFLOW_POLICIES`.
+ * @param {AbortSignal} [options.signal] Ends the stream with an `AbortError`.
+ */
+class Subscription {
+  constructor(start, options = {}) {
+    const bufferSize = options.bufferSize === undefined ? DEFAULT_BUFFER_SIZE : options.bufferSize
+    const overflow = options.overflow || OVERFLOW_POLICIES[0]
+    if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+      throw new errors.ValidationError(`Stream bufferSize must be a positive integer, got ${bufferSize}.`)
+    }
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new errors.ValidationError(`Stream overflow must be one of ${OVERFLOW_POLICIES.join(', ')}.`)
+    }
+    this._bufferSize = bufferSize
+    this._overflow = overflow
+    this._buffer = []
+    this._waiting = []
+    this._done = false
+    this._error = null
+    this._stop = null
+    this._signal = options.signal
+    // Messages lost to the overflow policy
+    this.dropped = 0
+
+    if (this._signal && this._signal.aborted) {
+      this._fail(new errors.AbortError('Stream was aborted.', { cause: this._signal.reason }), true)
+      return
+    }
+    this._onAbort = () => {
+      this._fail(new errors.AbortError('Stream was aborted.', { cause: this._signal.reason }), true)
+    }
+    if (this._signal) {
+      this._signal.addEventListener('abort', this._onAbort, { once: true })
+    }
+    try {
+      this._stop = start(
+        value => this._push(value),
+        () => this._close()
+      )
+    } catch (e) {
+      this._close()
+      throw e
+    }
+  }
+
+  _push(value) {
+    if (this._done) {
+      return
+    }
+    if (this._waiting.length) {
+      this._waiting.shift().resolve({ value, done: false })
+      return
+    }
+    if (this._buffer.length >= this._bufferSize) {
+      this.dropped += 1
+      if (this._overflow === 'dropNewest') {
+        return
+      }
+      if (this._overflow === 'error') {
+        this._fail(new errors.StreamOverflowError(`Stream buffer of ${this._bufferSize} messages overflowed.`))
+        return
+      }
+      this._buffer.shift()
+    }
+    this._buffer.push(value)
+  }
+
+  /* Stop receiving and let readers drain what is buffered. */
+  _close() {
+    if (this._done) {
+      return
+    }
+    this._done = true
+    if (this._signal) {
+      this._signal.removeEventListener('abort', this._onAbort)
+    }
+    if (this._stop) {
+      this._stop()
+      this._stop = null
+    }
+    this._waiting.splice(0).forEach(waiter => waiter.resolve({ value: undefined, done: true }))
+  }
+
+  /* End the stream with an error, delivered after the buffered messages unless `discard` is set. */
+  _fail(error, discard) {
+    if (this._done) {
+      return
+    }
+    if (discard) {
+      this._buffer = []
+    }
+    const waiter = this._waiting.shift()
+    if (waiter) {
+      waiter.reject(error)
+    } else {
+      this._error = error
+    }
+    this._close()
+  }
+
+  /**
+   * @return {Promise<Object>} The next message as `{ value, done }`.
+   */
+  next() {
+    if (this._buffer.length) {
+      return Promise.resolve({ value: this._buffer.shift(), done: false })
+    }
+    if (this._error) {
+      const error = this._error
+      this._error = null
+      return Promise.reject(error)
+    }
+    if (this._done) {
+      return Promise.resolve({ value: undefined, done: true })
+    }
+    return new Promise((resolve, reject) => {
+      this._waiting.push({ resolve, reject })
+    })
+  }
+
+  /**
+   * Unsubscribe and drop whatever is buffered. Called by `for await` when the
+   * loop is left early.
+   *
+   * @return {Promise<Object>}
+   */
+  return() {
+    this._buffer = []
+    this._error = null
+    this._close()
+    return Promise.resolve({ value: undefined, done: true })
+  }
+
+  [Symbol.asyncIterator]() {
+    return this
+  }
+}
+
+module.exports = {
+  DEFAULT_BUFFER_SIZE,
+  OVERFLOW_POLICIES,
+  Subscription,
+}
@@ -0,0 +1,85 @@
+/**
+ * Timing events and tracing.
+ *
+ * Every measured operation is reported as a `telemetry` event on the client
+ * and, when a tracer is configured, as a span. Tracers follow the
+ * OpenTelemetry API: `tracer.startSpan(name, { kind, attributes })` returning
+ * a span with `setAttributes()`, `addEvent()`, `setStatus()`,
+ * `recordException()` and `end()`, so an `@opentelemetry/api` tracer can be
+ * passed in as is.
+ */
+
+const constants = require('./constants')
+const measurement = require('./measurement')
+
+// Value of the OpenTelemetry SpanKind enum
+const SPAN_KIND_CLIENT = 2
+
+// Path templates such as `/_api/market-guide/{0}/{1}` as regular expressions, most specific first
+const literalLength = template => template.replace(/\{\d+\}/g, '').length
+const ROUTES = Object.keys(constants.paths)
+  .map(key => constants.paths[key])
+  .sort((a, b) => literalLength(b) - literalLength(a))
+  .map(template => ({
+    template,
+    pattern: new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{\d+\}/g, '[^/]*')}$`),
+  }))
+
+/**
+ * Map a request path to its template, so that IDs do not end up in metric
+ * names. Unknown paths are returned without their query string.
+ *
+ * @private
+ * @param {String} path
+ * @return {String}
+ */
+function routeFor(path) {
+  const pathname = path.split('?')[0]
+  const route = ROUTES.find(candidate => candidate.pattern.test(pathname))
+  return route ? route.template : pathname
+}
+
+/**
+ * @private
+ * @param {EventEmitter} emitter Receives the `telemetry` events.
+ * @param {Object} [tracer] OpenTelemetry compatible tracer.
+ */
+class Telemetry {
+  constructor(emitter, tracer) {
+    this._emitter = emitter
+    this._tracer = tracer
+  }
+
+  /**
+   * Emit a `telemetry` event.
+   *
+   * @param {String} type
+   * @param {Object} [fields]
+   */
+  emit(type, fields) {
+    this._emitter.emit('telemetry', { type, timestamp: Date.now(), ...fields })
+  }
+
+  /**
+   * Start timing an operation, with a span if there is a tracer.
+   *
+   * @param {String} type Event type emitted when the operation ends.
+   * @param {String} spanName
+   * @param {Object} fields Added to every event of the operation.
+   * @param {Object} [attributes] Span attributes.
+   * @return {measurement.Measurement}
+   */
+  start(type, spanName, fields, attributes = {}) {
+    const span = this._tracer ? this._tracer.startSpan(spanName, { kind: SPAN_KIND_CLIENT, attributes }) : null
+    return new measurement.Measurement(this, type, fields, span)
+  }
+}
+
+module.exports = {
+  SPAN_KIND_CLIENT,
+  SPAN_STATUS_OK: measurement.SPAN_STATUS_OK,
+  SPAN_STATUS_ERROR: measurement.SPAN_STATUS_ERROR,
+  routeFor,
+  describeError: measurement.describeError,
+  Telemetry,
+}
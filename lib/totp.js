@@ -1,86 +1,364 @@
 /* eslint-disable no-bitwise */
 
-const crypto = require('crypto')
-
 /**
- * TOTP function
+ * Time-based one-time passwords (RFC 6238).
+ *
+ * A code is the HOTP value (RFC 4226) of the number of periods since the Unix
+ * epoch. Secrets are given as base32 (RFC 4648) like authenticator apps show
+ * them, as raw bytes, or as the `otpauth://` URI in the QR code shown when
+ * setting up two-factor authentication.
  *
  * @license MIT
  * @author github.com/bonan
- * @param secret OTP Secret, as buffer of bytes or base32-encoded string
- * @param timeStep Interval between new codes, defaults to 30
- * @param numDigits Number of digits in code, defaults to 6
- * @returns {string}
  */
-module.exports = (secret, timeStep = 30, numDigits = 6) => {
-  const alg = 'sha1'
-  const counter = Math.floor(Date.now() / 1000 / timeStep)
-
-  // If secret is not already a buffer, treat is as base32 encoded string.
-  secret = Buffer.isBuffer(secret)
-    ? secret
-    : Buffer.from(
-        secret
-          .split('')
-          .filter(x => {
-            const y = x.charCodeAt(0)
-            return (
-              (y >= 0x32 && y <= 0x37) || // 2-7
-              (y >= 0x41 && y <= 0x5b) || // A-Z
-              (y >= 0x61 && y <= 0x7b)
-            ) // a-z
-          })
-          .map(x => {
-            const y = x.charCodeAt(0)
-            // A-Z / a-z translates into 0-25
-            if ((y & 0xc0) === 64) {
-              return (y & 0x1f) - 1
-            }
-            // 2-7 translates into 26-31
-            return parseInt(x, 10) + 24
-          })
-          .reduce((v, e, i, a) => {
-            // Calculate left-shift and right-shift values.
-            const ls = ((i + 1) * 3) % 8
-            const rs = ls >= 4 ? 8 - ls : undefined
-            // Pop last value off array, unless at an index that's a multiple of 8
-            let lv = i % 8 === 0 ? 0 : v.pop()
-            if (rs) {
-              // If rs is set, shift that many bits to the right, push to result ..
-              v.push(lv + (e >> rs))
-              // .. and start on a fresh byte
-              lv = 0
-            }
-            // Next value
-            const nv = lv + ((e << ls) & 255)
-
-            // Ignore 0x00 if at end
-            if (i < a.length - 1 || nv > 0 || i % 8 === 7) {
-              v.push(nv)
-            }
-            return v
-          }, [])
-      )
-
-  // Convert the counter to raw bytes
-  const counterBuf = Buffer.from(
-    [24, 16, 8, 0]
-      .map(x => ((counter / 2 ** 32) >> x) & 255)
-      .concat([24, 16, 8, 0].map(x => (counter % 2 ** 32 >> x) & 255))
-  )
-
-  const hmac = crypto.createHmac(alg, secret).update(counterBuf).digest()
-
-  // Get offset from last byte
-  const o = hmac[hmac.length - 1] & 0x0f
-
-  // Find offset and read the next 4 bytes
-  const v = `${
-    (((hmac[o] & 0x7f) << 24) | ((hmac[o + 1] & 0xff) << 16) | ((hmac[o + 2] & 0xff) << 8) | (hmac[o + 3] & 0xff)) %
-    // Modulus operation to get the right number of digits
-    10 ** numDigits
-  }`
-
-  // Left-pad with zeros
-  return Array(numDigits + 1 - v.length).join('0') + v
+
+const crypto = require('crypto')
+
+const errors = require('./errors')
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+// Names used by otpauth URIs mapped to Node's digest names
+const ALGORITHMS = {
+  SHA1: 'sha1',
+  SHA256: 'sha256',
+  SHA512: 'sha512',
+}
+
+const DEFAULT_ALGORITHM = 'SHA1'
+const DEFAULT_DIGITS = 6
+const DEFAULT_PERIOD = 30
+
+// Unpadded lengths of the last 8 character block that end on a whole byte
+const BLOCK_TAIL_LENGTHS = [0, 2, 4, 5, 7]
+
+/**
+ * Decode base32 as specified by RFC 4648. Whitespace is ignored and lower
+ * case accepted, padding is optional but has to be right when present.
+ *
+ * @private
+ * @param {String} input
+ * @return {Buffer}
+ * @throws {ValidationError} Naming the first offending character and its position.
+ */
+function base32Decode(input) {
+  if (typeof input !== 'string') {
+    throw new errors.ValidationError('Base32 input must be a string.')
+  }
+  const bytes = []
+  let value = 0
+  let bits = 0
+  let length = 0
+  let padding = 0
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i]
+    if (/\s/.test(char)) {
+      continue
+    }
+    if (char === '=') {
+      padding += 1
+      continue
+    }
+    const index = ALPHABET.indexOf(char.toUpperCase())
+    if (index === -1 || padding > 0) {
+      throw new errors.ValidationError(`Invalid base32 character '${char}' at position ${i}.`)
+    }
+    length += 1
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bits -= 8
+      bytes.push((value >>> bits) & 0xff)
+      value &= (1 << bits) - 1
+    }
+  }
+  if (!BLOCK_TAIL_LENGTHS.includes(length % 8)) {
+    throw new errors.ValidationError(`Invalid base32 length ${length}, the last byte is incomplete.`)
+  }
+  if (padding > 0 && (length + padding) % 8 !== 0) {
+    throw new errors.ValidationError(
+      `Invalid base32 padding, expected ${(8 - (length % 8)) % 8} '=' but got ${padding}.`
+    )
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * Encode bytes as base32.
+ *
+ * @private
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {Boolean} [options.padding=true] Pad the result to a multiple of 8 characters.
+ * @return {String}
+ */
+function base32Encode(buffer, options = {}) {
+  let output = ''
+  let value = 0
+  let bits = 0
+  buffer.forEach(byte => {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      bits -= 5
+      output += ALPHABET[(value >>> bits) & 31]
+    }
+    value &= (1 << bits) - 1
+  })
+  if (bits > 0) {
+    output += ALPHABET[(value << (5 - bits)) & 31]
+  }
+  if (options.padding !== false && output.length % 8 !== 0) {
+    output += '='.repeat(8 - (output.length % 8))
+  }
+  return output
+}
+
+/**
+ * @private
+ * @param {String} [algorithm='SHA1'] E.g. `SHA256`, `sha-256` or `sha256`.
+ * @return {String} The name of the algorithm as used in otpauth URIs.
+ * @throws {ValidationError}
+ */
+function normalizeAlgorithm(algorithm = DEFAULT_ALGORITHM) {
+  const name = String(algorithm).toUpperCase().replace('-', '')
+  if (!ALGORITHMS[name]) {
+    throw new errors.ValidationError(
+      `Unsupported TOTP algorithm ${algorithm}, use one of ${Object.keys(ALGORITHMS).join(', ')}.`
+    )
+  }
+  return name
+}
+
+function checkInteger(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new errors.ValidationError(`TOTP ${name} must be an integer from ${min} to ${max}, got ${value}.`)
+  }
+  return value
+}
+
+/**
+ * Parse an `otpauth://totp/` URI, the format of the QR code shown when
+ * setting up two-factor authentication.
+ *
+ * @private
+ * @param {String} uri E.g. `otpauth://totp/Avanza:user?secret=JBSWY3DPEHPK3PXP&issuer=Avanza`.
+ * @return {Object} `{ type, label, issuer, account, secret, algorithm, digits, period }`, with the secret as
+ *                  normalized base32.
+ * @throws {ValidationError} When the URI is malformed or not for TOTP.
+ */
+function parseUri(uri) {
+  let url
+  try {
+    url = new URL(uri)
+  } catch (e) {
+    throw new errors.ValidationError('Invalid otpauth URI.', { cause: e })
+  }
+  if (url.protocol !== 'otpauth:') {
+    throw new errors.ValidationError(`Expected an otpauth URI, got ${url.protocol.slice(0, -1)}.`)
+  }
+  if (url.hostname !== 'totp') {
+    throw new errors.ValidationError(`Unsupported OTP type ${url.hostname}, only totp is supported.`)
+  }
+  const params = url.searchParams
+  if (!params.get('secret')) {
+    throw new errors.ValidationError('The otpauth URI has no secret.')
+  }
+  const label = decodeURIComponent(url.pathname.slice(1))
+  const separator = label.indexOf(':')
+  const prefix = separator === -1 ? null : label.slice(0, separator).trim()
+  const digits = params.has('digits') ? Number(params.get('digits')) : DEFAULT_DIGITS
+  const period = params.has('period') ? Number(params.get('period')) : DEFAULT_PERIOD
+  return {
+    type: 'totp',
+    label,
+    issuer: params.get('issuer') || prefix,
+    account: separator === -1 ? label : label.slice(separator + 1).trim(),
+    secret: base32Encode(base32Decode(params.get('secret')), { padding: false }),
+    algorithm: normalizeAlgorithm(params.get('algorithm') || undefined),
+    digits: checkInteger('digits', digits, 6, 10),
+    period: checkInteger('period', period, 1, Infinity),
+  }
+}
+
+/**
+ * Turn a secret of any accepted form into a key and the parameters it comes
+ * with. Explicit options win over those of an otpauth URI.
+ *
+ * @private
+ * @param {Buffer|String|Object} secret Bytes, base32, an otpauth URI or the result of `parseUri()`.
+ * @param {Object} options
+ * @return {Object} `{ key, algorithm, digits, period }`
+ */
+function resolveKey(secret, options) {
+  let parsed = {}
+  if (typeof secret === 'string' && /^otpauth:/i.test(secret.trim())) {
+    parsed = parseUri(secret.trim())
+  } else if (secret && typeof secret === 'object' && !Buffer.isBuffer(secret)) {
+    parsed = secret
+  }
+  let key = parsed.secret === undefined ? secret : parsed.secret
+  key = Buffer.isBuffer(key) ? key : base32Decode(key === undefined || key === null ? '' : key)
+  if (!key.length) {
+    throw new errors.ValidationError('Missing TOTP secret.')
+  }
+  return {
+    key,
+    algorithm: normalizeAlgorithm(options.algorithm || parsed.algorithm),
+    digits: checkInteger('digits', options.digits || parsed.digits || DEFAULT_DIGITS, 6, 10),
+    period: checkInteger('period', options.period || parsed.period || DEFAULT_PERIOD, 1, Infinity),
+  }
+}
+
+/**
+ * The parameters codes for `secret` are generated with.
+ *
+ * @private
+ * @param {Buffer|String|Object} secret Bytes, base32, an otpauth URI or the result of `parseUri()`.
+ * @param {Object} [options] As for `generate()`.
+ * @return {Object} `{ algorithm, digits, period }`
+ */
+function parameters(secret, options = {}) {
+  const { algorithm, digits, period } = resolveKey(secret, options)
+  return { algorithm, digits, period }
+}
+
+/**
+ * The number of whole periods since the Unix epoch at `timestamp`.
+ *
+ * @private
+ * @param {Number|Date} [timestamp=Date.now()] Milliseconds since the epoch.
+ * @param {Number} [period=30] Seconds.
+ * @return {Number}
+ */
+function counterAt(timestamp = Date.now(), period = DEFAULT_PERIOD) {
+  const time = Number(timestamp)
+  if (!Number.isFinite(time) || time < 0) {
+    throw new errors.ValidationError(`Invalid TOTP timestamp ${timestamp}.`)
+  }
+  return Math.floor(time / 1000 / period)
 }
+
+/**
+ * How long the code at `timestamp` stays valid.
+ *
+ * @private
+ * @param {Buffer|String|Object} secret Bytes, base32, an otpauth URI or the result of `parseUri()`.
+ * @param {Object} [options] `timestamp` and `period` as for `generate()`.
+ * @return {Number} Milliseconds until the next period starts.
+ */
+function timeRemaining(secret, options = {}) {
+  const { period } = resolveKey(secret, options)
+  const counter = counterAt(options.timestamp, period)
+  const timestamp = options.timestamp === undefined ? Date.now() : Number(options.timestamp)
+  return (counter + 1) * period * 1000 - timestamp
+}
+
+/**
+ * HMAC-based one-time password (RFC 4226).
+ *
+ * @private
+ * @param {Buffer} key
+ * @param {Number} counter
+ * @param {Object} [options]
+ * @param {String} [options.algorithm='SHA1']
+ * @param {Number} [options.digits=6]
+ * @return {String}
+ */
+function hotp(key, counter, options = {}) {
+  const digits = options.digits || DEFAULT_DIGITS
+  // 64-bit big-endian counter, in two halves as bitwise operators stop at 32 bits
+  const message = Buffer.alloc(8)
+  message.writeUInt32BE(Math.floor(counter / 2 ** 32), 0)
+  message.writeUInt32BE(counter % 2 ** 32, 4)
+  const hmac = crypto.createHmac(ALGORITHMS[normalizeAlgorithm(options.algorithm)], key).update(message).digest()
+
+  // Dynamic truncation: the low nibble of the last byte picks where to read 31 bits
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits
+  return String(code).padStart(digits, '0')
+}
+
+/**
+ * Generate the code for a point in time.
+ *
+ * @private
+ * @param {Buffer|String|Object} secret Bytes, base32, an otpauth URI or the result of `parseUri()`.
+ * @param {Object} [options]
+ * @param {Number|Date} [options.timestamp=Date.now()] Milliseconds since the epoch.
+ * @param {Number} [options.period=30] Seconds each code is valid.
+ * @param {Number} [options.digits=6]
+ * @param {String} [options.algorithm='SHA1'] `SHA1`, `SHA256` or `SHA512`.
+ * @param {Number} [options.offset=0] Periods to move from `timestamp`, e.g. `-1` for the previous code.
+ * @return {String}
+ */
+function generate(secret, options = {}) {
+  const { key, algorithm, digits, period } = resolveKey(secret, options)
+  const counter = counterAt(options.timestamp, period) + (options.offset || 0)
+  return hotp(key, Math.max(counter, 0), { algorithm, digits })
+}
+
+/**
+ * Check a code against the periods around a point in time.
+ *
+ * @private
+ * @param {String|Number} token The code to check. Whitespace is ignored.
+ * @param {Buffer|String|Object} secret Bytes, base32, an otpauth URI or the result of `parseUri()`.
+ * @param {Object} [options] As for `generate()`, plus:
+ * @param {Number} [options.window=1] How many periods before and after `timestamp` to accept.
+ * @return {Number|null} The offset in periods of the matching code, e.g. `-1` for the previous one, or `null` if
+ *                       none matches.
+ */
+function verify(token, secret, options = {}) {
+  const { key, algorithm, digits, period } = resolveKey(secret, options)
+  const window = options.window === undefined ? 1 : checkInteger('window', options.window, 0, 100)
+  const given = Buffer.from(String(token).replace(/\s/g, ''))
+  const counter = counterAt(options.timestamp, period)
+  // Checks the current period first, then outwards, so that the smallest offset wins
+  for (let distance = 0; distance <= window; distance += 1) {
+    const offsets = distance === 0 ? [0] : [-distance, distance]
+    for (const offset of offsets) {
+      if (counter + offset >= 0) {
+        const expected = Buffer.from(hotp(key, counter + offset, { algorithm, digits }))
+        if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+          return offset
+        }
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * The current code for a secret.
+ *
+ * `totp(secret, timeStep, numDigits)` is kept for compatibility, `options` is
+ * as for `generate()`.
+ *
+ * @private
+ * @param {Buffer|String|Object} secret Bytes, base32, an otpauth URI or the result of `parseUri()`.
+ * @param {Object|Number} [options]
+ * @param {Number} [numDigits]
+ * @return {String}
+ */
+function totp(secret, options, numDigits) {
+  if (typeof options === 'number') {
+    return generate(secret, { period: options, digits: numDigits })
+  }
+  return generate(secret, options)
+}
+
+module.exports = Object.assign(totp, {
+  ALGORITHMS,
+  DEFAULT_DIGITS,
+  DEFAULT_PERIOD,
+  base32Decode,
+  base32Encode,
+  parseUri,
+  parameters,
+  counterAt,
+  timeRemaining,
+  hotp,
+  generate,
+  verify,
+})
@@ -0,0 +1,42 @@
+const test = require('ava')
+
+const abort = require('../dist/abort')
+const errors = require('../dist/errors')
+
+test('delay() resolves after the given time', async t => {
+  const start = Date.now()
+  await abort.delay(20)
+  t.true(Date.now() - start >= 15)
+})
+
+test('delay() rejects with the given message when aborted', async t => {
+  const controller = new AbortController()
+  const waiting = abort.delay(60000, controller.signal, 'Stopped waiting.')
+  controller.abort(new Error('bye'))
+  const error = await t.throwsAsync(waiting, { instanceOf: errors.AbortError, message: 'Stopped waiting.' })
+  t.is(error.cause.message, 'bye')
+})
+
+test('delay() rejects at once with a signal that is already aborted', async t => {
+  const controller = new AbortController()
+  controller.abort()
+  await t.throwsAsync(abort.delay(60000, controller.signal), { instanceOf: errors.AbortError })
+})
+
+test('combine() follows whichever signal aborts first', t => {
+  const first = new AbortController()
+  const second = new AbortController()
+  const { signal } = abort.combine([first.signal, undefined, second.signal])
+  t.false(signal.aborted)
+  second.abort('second')
+  t.true(signal.aborted)
+  t.is(signal.reason, 'second')
+})
+
+test('combine() stops following its signals once released', t => {
+  const source = new AbortController()
+  const { signal, release } = abort.combine([source.signal])
+  release()
+  source.abort()
+  t.false(signal.aborted)
+})
@@ -72,7 +72,7 @@ test.serial('path: getAccountPositions()', async (t) => {
   await t.context.avanza.getAccountPositions('test-account-id')
   
   const actual = callStub.args[0]
-  const expected = ['GET', constants.paths.POSITIONS_PATH.replace('{0}', 'test-account-id')]
+  const expected = ['GET', constants.paths.POSITIONS_PATH.replace('{0}', 'test-account-id'), {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -120,7 +120,7 @@ test.serial('path: getAccountsList()', async (t) => {
   await t.context.avanza.getAccountsList()
   
   const actual = callStub.args[0]
-  const expected = ['GET', constants.paths.ACCOUNTS_LIST_PATH, {}]
+  const expected = ['GET', constants.paths.ACCOUNTS_LIST_PATH, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -130,7 +130,7 @@ test.serial('path: getOverview()', async (t) => {
   await t.context.avanza.getOverview()
   
   const actual = callStub.args[0]
-  const expected = ['GET', constants.paths.OVERVIEW_PATH]
+  const expected = ['GET', constants.paths.OVERVIEW_PATH, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -140,7 +140,7 @@ test.serial('path: getAccountOverview()', async (t) => {
   await t.context.avanza.getAccountOverview('12345')
   
   const actual = callStub.args[0]
-  const expected = ['GET', constants.paths.ACCOUNT_OVERVIEW_PATH.replace('{0}', '12345')]
+  const expected = ['GET', constants.paths.ACCOUNT_OVERVIEW_PATH.replace('{0}', '12345'), {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -150,7 +150,7 @@ test.serial('path: getDealsAndOrders()', async (t) => {
   await t.context.avanza.getDealsAndOrders()
   
   const actual = callStub.args[0]
-  const expected = ['GET', constants.paths.DEALS_AND_ORDERS_PATH]
+  const expected = ['GET', constants.paths.DEALS_AND_ORDERS_PATH, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -160,7 +160,7 @@ test.serial('path: getTransactions() without options', async (t) => {
   await t.context.avanza.getTransactions('12345')
   
   const actual = callStub.args[0]
-  const expected = ['GET', constants.paths.TRANSACTIONS_PATH.replace('{0}', '12345')]
+  const expected = ['GET', constants.paths.TRANSACTIONS_PATH.replace('{0}', '12345'), {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -179,7 +179,7 @@ test.serial('path: getTransactions() with options', async (t) => {
   const expectedQuery = '?from=2017-01-01&to=2018-01-01&maxAmount=12345&minAmount=54321&orderbookId=A%2CB%2CC'
   
   const actual = callStub.args[0]
-  const expected = ['GET', expectedPath + expectedQuery]
+  const expected = ['GET', expectedPath + expectedQuery, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -189,7 +189,7 @@ test.serial('path: getWatchlists()', async (t) => {
   await t.context.avanza.getWatchlists()
   
   const actual = callStub.args[0]
-  const expected = ['GET', constants.paths.WATCHLISTS_PATH]
+  const expected = ['GET', constants.paths.WATCHLISTS_PATH, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -201,7 +201,7 @@ test.serial('path: addToWatchlist()', async (t) => {
   const expectedPath = constants.paths.WATCHLISTS_ADD_DELETE_PATH.replace('{1}', '12345').replace('{0}', '54321')
   
   const actual = callStub.args[0]
-  const expected = ['PUT', expectedPath]
+  const expected = ['PUT', expectedPath, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -213,7 +213,7 @@ test.serial('path: removeFromWatchlist()', async (t) => {
   const expectedPath = constants.paths.WATCHLISTS_ADD_DELETE_PATH.replace('{1}', '12345').replace('{0}', '54321')
   
   const actual = callStub.args[0]
-  const expected = ['DELETE', expectedPath]
+  const expected = ['DELETE', expectedPath, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -225,7 +225,7 @@ test.serial('path: getInstrument()', async (t) => {
   // Update this test to match the new format for API endpoints
   // In the updated constants.js, stock-related endpoints use market-guide
   const actual = callStub.args[0]
-  const expected = ['GET', constants.paths.INSTRUMENT_PATH.replace('{0}', 'stock').replace('{1}', '12345')]
+  const expected = ['GET', constants.paths.INSTRUMENT_PATH.replace('{0}', 'stock').replace('{1}', '12345'), {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -237,7 +237,7 @@ test.serial('path: getOrderbook()', async (t) => {
   const expectedPath = constants.paths.ORDERBOOK_PATH.replace('{0}', 'stock')
   const expectedQuery = '?orderbookId=12345'
   const actual = callStub.args[0]
-  const expected = ['GET', expectedPath + expectedQuery]
+  const expected = ['GET', expectedPath + expectedQuery, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -249,7 +249,7 @@ test.serial('path: getOrderbooks()', async (t) => {
   const expectedPath = constants.paths.ORDERBOOK_LIST_PATH.replace('{0}', '123,456,789')
   const expectedQuery = '?sort=name'
   const actual = callStub.args[0]
-  const expected = ['GET', expectedPath + expectedQuery]
+  const expected = ['GET', expectedPath + expectedQuery, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -261,7 +261,7 @@ test.serial('path: getChartdata()', async (t) => {
   const expectedPath = constants.paths.CHARTDATA_PATH.replace('{0}', '12345')
   const expectedQuery = '?timePeriod=test'
   const actual = callStub.args[0]
-  const expected = ['GET', expectedPath + expectedQuery]
+  const expected = ['GET', expectedPath + expectedQuery, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -279,7 +279,7 @@ test.serial('path: placeOrder()', async (t) => {
   await t.context.avanza.placeOrder(options)
   
   const actual = callStub.args[0]
-  const expected = ['POST', constants.paths.ORDER_PLACE_PATH, { ...options }]
+  const expected = ['POST', constants.paths.ORDER_PLACE_PATH, { ...options }, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -291,7 +291,7 @@ test.serial('path: getOrder()', async (t) => {
   const expectedPath = constants.paths.ORDER_GET_PATH.replace('{0}', 'stock')
   const expectedQuery = '?accountId=12345&orderId=54321'
   const actual = callStub.args[0]
-  const expected = ['GET', expectedPath + expectedQuery]
+  const expected = ['GET', expectedPath + expectedQuery, {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -302,7 +302,7 @@ test.serial('path: deleteOrder()', async (t) => {
   
   const expectedPath = constants.paths.ORDER_DELETE_PATH
   const actual = callStub.args[0]
-  const expected = ['POST', expectedPath, { accountId: '12345', orderId: '54321' }]
+  const expected = ['POST', expectedPath, { accountId: '12345', orderId: '54321' }, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -319,7 +319,7 @@ test.serial('path: editOrder()', async (t) => {
   
   const expectedPath = constants.paths.ORDER_EDIT_PATH.replace('{0}', 'stock').replace('{1}', '54321')
   const actual = callStub.args[0]
-  const expected = ['PUT', expectedPath, { ...options, orderCondition: 'NORMAL' }]
+  const expected = ['PUT', expectedPath, { ...options, orderCondition: 'NORMAL' }, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -340,7 +340,7 @@ test.serial('path: search()', async (t) => {
   }
   
   const actual = callStub.args[0]
-  const expected = ['POST', constants.paths.SEARCH_PATH, expectedOptions]
+  const expected = ['POST', constants.paths.SEARCH_PATH, expectedOptions, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -350,7 +350,7 @@ test.serial('path: getInspirationLists()', async (t) => {
   await t.context.avanza.getInspirationLists()
   
   const actual = callStub.args[0]
-  const expected = ['GET', constants.paths.INSPIRATION_LIST_PATH.replace('{0}', '')]
+  const expected = ['GET', constants.paths.INSPIRATION_LIST_PATH.replace('{0}', ''), {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -360,7 +360,7 @@ test.serial('path: getInspirationList()', async (t) => {
   await t.context.avanza.getInspirationList('HIGHEST_RATED_FUNDS')
   
   const actual = callStub.args[0]
-  const expected = ['GET', constants.paths.INSPIRATION_LIST_PATH.replace('{0}', 'HIGHEST_RATED_FUNDS')]
+  const expected = ['GET', constants.paths.INSPIRATION_LIST_PATH.replace('{0}', 'HIGHEST_RATED_FUNDS'), {}, {}]
   t.deepEqual(actual, expected)
   callStub.restore()
 })
@@ -0,0 +1,117 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const { startMockServer, readBody, json, loggedIn, withClient } = require('./helpers/mock-server')
+
+// Completes the BankID order after `states` have been collected.
+function startBankIdServer(states) {
+  const orders = []
+  let polls = 0
+  return startMockServer((req, res) => {
+    if (req.url === constants.paths.BANKID_PATH) {
+      if (req.method !== 'POST') {
+        json(res, {})
+        return
+      }
+      readBody(req).then(body => {
+        orders.push(JSON.parse(body))
+        json(res, { transactionId: 'order', autostartToken: 'auto', qrToken: 'qr-0' })
+      })
+      return
+    }
+    if (req.url === constants.paths.BANKID_COLLECT_PATH) {
+      polls += 1
+      const state = states[polls - 1] || 'COMPLETE'
+      json(res, {
+        state,
+        hintCode: state === 'FAILED' ? 'userCancel' : undefined,
+        qrToken: `qr-${polls}`,
+        logins: state === 'COMPLETE' ? [{ customerId: '1' }, { customerId: '2' }] : undefined,
+      })
+      return
+    }
+    const login = req.url.match(/\/collect\/(\d+)$/)
+    if (login) {
+      loggedIn(res, { token: `token-${login[1]}`, customerId: login[1] })
+      return
+    }
+    json(res, {}, { statusCode: 404 })
+  }).then(mock => ({ ...mock, orders }))
+}
+
+const withBankId = (states, fn) => withClient(startBankIdServer(states), {}, fn)
+
+test('authenticateWithBankId() emits QR data until the order completes', t =>
+  withBankId(['OUTSTANDING_TRANSACTION', 'USER_SIGN'], async (avanza, mock) => {
+    const events = []
+    avanza.on('bankid', event => events.push(event))
+    const session = await avanza.authenticateWithBankId({ pollInterval: 1 })
+
+    t.deepEqual(session, { securityToken: 'token-1', pushSubscriptionId: 'subscription', customerId: '1' })
+    t.true(avanza._authenticated)
+    // The session lasts as long as the client expects it to
+    t.deepEqual(mock.orders, [{ maxInactiveMinutes: avanza._authenticationTimeout }])
+    t.deepEqual(
+      events.map(event => [event.state, event.qrData]),
+      [
+        ['OUTSTANDING_TRANSACTION', 'qr-0'],
+        ['OUTSTANDING_TRANSACTION', 'qr-1'],
+        ['USER_SIGN', 'qr-2'],
+      ]
+    )
+    t.is(events[0].autostartToken, 'auto')
+    t.is(events[0].autostartUrl, 'bankid:///?autostarttoken=auto&redirect=null')
+  }))
+
+test('authenticateWithBankId() logs in as the chosen customer', t =>
+  withBankId([], async avanza => {
+    const session = await avanza.authenticateWithBankId({ customerId: '2', pollInterval: 1 })
+    t.is(session.securityToken, 'token-2')
+    await t.throwsAsync(avanza.authenticateWithBankId({ customerId: '3', pollInterval: 1 }), {
+      instanceOf: Avanza.AuthenticationError,
+      message: 'No BankID login for customer 3.',
+    })
+  }))
+
+test('authenticateWithBankId() rejects failed orders', t =>
+  withBankId(['OUTSTANDING_TRANSACTION', 'FAILED'], async avanza => {
+    await t.throwsAsync(avanza.authenticateWithBankId({ pollInterval: 1 }), {
+      instanceOf: Avanza.AuthenticationError,
+      message: 'BankID login failed with state FAILED (userCancel).',
+    })
+    t.false(avanza._authenticated)
+  }))
+
+test('aborting authenticateWithBankId() cancels the order', t =>
+  withBankId(new Array(100).fill('OUTSTANDING_TRANSACTION'), async (avanza, mock) => {
+    const controller = new AbortController()
+    avanza.on('bankid', () => controller.abort())
+    await t.throwsAsync(avanza.authenticateWithBankId({ pollInterval: 1 }, { signal: controller.signal }), {
+      instanceOf: Avanza.AbortError,
+    })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    const last = mock.requests[mock.requests.length - 1]
+    t.is(`${last.method} ${last.url}`, `DELETE ${constants.paths.BANKID_PATH}`)
+  }))
+
+test('a failed BankID login leaves the stored credentials alone', t =>
+  withBankId(['FAILED'], async avanza => {
+    const credentials = { username: 'user', password: 'pass' }
+    avanza._credentials = credentials
+    let renewed = false
+    avanza._reauthentication = setTimeout(() => {
+      renewed = true
+    }, 200)
+    await t.throwsAsync(avanza.authenticateWithBankId({ pollInterval: 1 }), { instanceOf: Avanza.AuthenticationError })
+    t.is(avanza._credentials, credentials)
+    await new Promise(resolve => setTimeout(resolve, 250))
+    t.true(renewed)
+  }))
+
+test('a successful BankID login forgets the stored credentials', t =>
+  withBankId([], async avanza => {
+    avanza._credentials = { username: 'user', password: 'pass' }
+    await avanza.authenticateWithBankId({ pollInterval: 1 })
+    t.is(avanza._credentials, null)
+  }))
@@ -0,0 +1,89 @@
+const test = require('ava')
+const sinon = require('sinon')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+
+function createClient(options = {}) {
+  const avanza = new Avanza({ cache: true, ...options })
+  sinon.stub(avanza, 'call').callsFake((method, path) => Promise.resolve({ path, at: avanza.call.callCount }))
+  return avanza
+}
+
+test('repeated calls are served from the cache', async t => {
+  const avanza = createClient()
+  const first = await avanza.getInstrument(Avanza.STOCK, '5361')
+  const second = await avanza.getInstrument(Avanza.STOCK, '5361')
+  t.deepEqual(second, first)
+  t.is(avanza.call.callCount, 1)
+  await avanza.getInstrument(Avanza.STOCK, '5362')
+  t.is(avanza.call.callCount, 2)
+})
+
+test('search() keys on the request body', async t => {
+  const avanza = createClient()
+  await avanza.search('volvo')
+  await avanza.search('volvo')
+  await avanza.search('volvo', Avanza.STOCK)
+  t.is(avanza.call.callCount, 2)
+  t.is(avanza.call.args[0][1], constants.paths.SEARCH_PATH)
+})
+
+test('cache: false bypasses the cache', async t => {
+  const avanza = createClient()
+  await avanza.getOrderbooks(['1', '2'])
+  await avanza.getOrderbooks(['1', '2'], { cache: false })
+  t.is(avanza.call.callCount, 2)
+})
+
+test('clearCache() drops one endpoint or everything', async t => {
+  const avanza = createClient()
+  await avanza.getInstrument(Avanza.STOCK, '5361')
+  await avanza.getInspirationList(Avanza.MOST_OWNED_FUNDS)
+  await avanza.clearCache('instrument')
+  await avanza.getInstrument(Avanza.STOCK, '5361')
+  await avanza.getInspirationList(Avanza.MOST_OWNED_FUNDS)
+  t.is(avanza.call.callCount, 3)
+  await avanza.clearCache()
+  await avanza.getInspirationList(Avanza.MOST_OWNED_FUNDS)
+  t.is(avanza.call.callCount, 4)
+})
+
+test('a TTL of 0 disables caching for that endpoint', async t => {
+  const avanza = createClient({ cache: { ttl: { orderbook: 0 } } })
+  await avanza.getOrderbook(Avanza.STOCK, '5361')
+  await avanza.getOrderbook(Avanza.STOCK, '5361')
+  t.is(avanza.call.callCount, 2)
+})
+
+test('custom stores may be asynchronous', async t => {
+  const entries = new Map()
+  const store = {
+    get: key => Promise.resolve(entries.get(key)),
+    set: (key, value) => Promise.resolve(entries.set(key, value)),
+    delete: key => Promise.resolve(entries.delete(key)),
+    clear: () => Promise.resolve(entries.clear()),
+    keys: () => Promise.resolve(Array.from(entries.keys())),
+  }
+  const avanza = createClient({ cache: { store } })
+  await avanza.getInstrument(Avanza.STOCK, '5361')
+  await avanza.getInstrument(Avanza.STOCK, '5361')
+  t.is(avanza.call.callCount, 1)
+  t.is(entries.size, 1)
+})
+
+test('trading and account endpoints are never cached', async t => {
+  const avanza = createClient()
+  await avanza.placeOrder({})
+  await avanza.placeOrder({})
+  await avanza.getAccountsList()
+  await avanza.getAccountsList()
+  t.is(avanza.call.callCount, 4)
+})
+
+test('caching is off by default', async t => {
+  const avanza = createClient({ cache: undefined })
+  await avanza.getInstrument(Avanza.STOCK, '5361')
+  await avanza.getInstrument(Avanza.STOCK, '5361')
+  t.is(avanza.call.callCount, 2)
+})
@@ -0,0 +1,77 @@
+const test = require('ava')
+
+const constants = require('../dist/constants')
+const { startMockServer, json, loggedIn, withLoggedInClient } = require('./helpers/mock-server')
+
+// Answers after a short delay so that concurrent calls overlap. Requests made with `stale-token` are told that the
+// session is invalid, logging in hands out `fresh-token`.
+function startCoalesceServer() {
+  return startMockServer((req, res) => {
+    setTimeout(() => {
+      if (req.url === constants.paths.AUTHENTICATION_PATH) {
+        loggedIn(res, { token: 'fresh-token' })
+        return
+      }
+      if (req.headers['x-securitytoken'] === 'stale-token') {
+        json(res, {}, { statusCode: 401, headers: { 'aza-invalid-session': '-' } })
+        return
+      }
+      json(res, { url: req.url })
+    }, 20)
+  })
+}
+
+test('identical concurrent GETs share one request', t =>
+  withLoggedInClient(startCoalesceServer(), { retry: false }, async (avanza, { requests }) => {
+    const results = await Promise.all([avanza.getAccountsList(), avanza.getAccountsList(), avanza.getAccountsList()])
+    t.is(requests.length, 1)
+    t.is(results[0], results[1])
+    t.is(results[1], results[2])
+    await avanza.getAccountsList()
+    t.is(requests.length, 2)
+  }))
+
+test('different paths, other methods, signals and coalesce: false are not shared', t =>
+  withLoggedInClient(startCoalesceServer(), { retry: false }, async (avanza, { requests }) => {
+    await Promise.all([
+      avanza.getAccountOverview('1'),
+      avanza.getAccountOverview('2'),
+      avanza.call('GET', '/_api/test'),
+      avanza.call('GET', '/_api/test', {}, { signal: new AbortController().signal }),
+      avanza.call('GET', '/_api/test', {}, { coalesce: false }),
+      avanza.addToWatchlist('1', '2'),
+      avanza.addToWatchlist('1', '2'),
+    ])
+    t.is(requests.length, 7)
+  }))
+
+test('a download is not shared with a call of the same path', t =>
+  withLoggedInClient(startCoalesceServer(), { retry: false }, async (avanza, { requests }) => {
+    const [body, file] = await Promise.all([avanza.call('GET', '/_api/test'), avanza.download('/_api/test')])
+    t.is(requests.length, 2)
+    t.deepEqual(body, { url: '/_api/test' })
+    t.true(Buffer.isBuffer(file))
+  }))
+
+test('coalescing can be disabled client-wide', t =>
+  withLoggedInClient(startCoalesceServer(), { retry: false, coalesce: false }, async (avanza, { requests }) => {
+    await Promise.all([avanza.getAccountsList(), avanza.getAccountsList()])
+    t.is(requests.length, 2)
+  }))
+
+test('concurrent invalid sessions trigger a single login', t =>
+  withLoggedInClient(startCoalesceServer(), { retry: false }, async (avanza, { requests }) => {
+    avanza._securityToken = 'stale-token'
+    avanza._credentials = { username: 'user', password: 'pass' }
+    const results = await Promise.all([
+      avanza.getAccountOverview('1'),
+      avanza.getAccountOverview('2'),
+      avanza.getAccountOverview('3'),
+    ])
+    t.deepEqual(
+      results.map(result => result.rawResponse || result),
+      [1, 2, 3].map(id => ({ url: constants.paths.ACCOUNT_OVERVIEW_PATH.replace('{0}', id) }))
+    )
+    t.is(requests.filter(request => request.url === constants.paths.AUTHENTICATION_PATH).length, 1)
+    t.is(avanza._securityToken, 'fresh-token')
+  }))
@@ -0,0 +1,122 @@
+const test = require('ava')
+const zlib = require('zlib')
+
+const Avanza = require('../dist/index')
+const content = require('../dist/content')
+const { startMockServer, readBody, withLoggedInClient } = require('./helpers/mock-server')
+
+const PDF = Buffer.from('%PDF-1.4 binary \u0000ÿ', 'latin1')
+
+// Echoes what it received at `/_api/echo` and serves fixed bodies elsewhere.
+function startContentServer() {
+  return startMockServer((req, res) => {
+    readBody(req).then(body => {
+      const json = value => JSON.stringify(value)
+      switch (req.url) {
+        case '/_api/echo':
+          res.setHeader('Content-Type', 'application/json')
+          res.end(json({ headers: req.headers, body }))
+          break
+        case '/_api/gzip':
+          res.setHeader('Content-Type', 'application/json')
+          res.setHeader('Content-Encoding', 'gzip')
+          res.end(zlib.gzipSync(json({ compressed: 'gzip' })))
+          break
+        case '/_api/brotli':
+          res.setHeader('Content-Type', 'application/json')
+          res.setHeader('Content-Encoding', 'br')
+          res.end(zlib.brotliCompressSync(json({ compressed: 'br' })))
+          break
+        case '/_api/latin1':
+          res.setHeader('Content-Type', 'text/plain; charset=ISO-8859-1')
+          res.end(Buffer.from('Räntefond', 'latin1'))
+          break
+        case '/_api/broken':
+          res.setHeader('Content-Type', 'application/json')
+          res.end('{"broken":')
+          break
+        case '/_api/error':
+          res.statusCode = 502
+          res.setHeader('Content-Type', 'application/json')
+          res.end('<html>Bad gateway</html>')
+          break
+        case '/_api/note.pdf':
+          res.setHeader('Content-Type', 'application/pdf')
+          res.setHeader('Content-Encoding', 'gzip')
+          res.end(zlib.gzipSync(PDF))
+          break
+        default:
+          res.statusCode = 404
+          res.end()
+      }
+    })
+  })
+}
+
+const withClient = fn => withLoggedInClient(startContentServer(), { retry: false }, fn)
+
+test('decodeBody() decodes by content type', t => {
+  const json = Buffer.from('{"a":1}')
+  t.deepEqual(content.decodeBody(json, { 'content-type': 'application/json; charset=utf-8' }), { a: 1 })
+  t.deepEqual(content.decodeBody(json, { 'content-type': 'application/problem+json' }), { a: 1 })
+  t.deepEqual(content.decodeBody(json, {}), { a: 1 })
+  t.is(content.decodeBody(Buffer.from('plain'), {}), 'plain')
+  t.is(content.decodeBody(json, { 'content-type': 'text/plain' }), '{"a":1}')
+  t.true(Buffer.isBuffer(content.decodeBody(PDF, { 'content-type': 'application/pdf' })))
+  t.true(Buffer.isBuffer(content.decodeBody(json, { 'content-type': 'application/json' }, 'buffer')))
+  t.throws(() => content.decodeBody(Buffer.from('{'), { 'content-type': 'application/json' }), {
+    instanceOf: SyntaxError,
+  })
+})
+
+test('GET requests carry no body, other methods send JSON', t =>
+  withClient(async avanza => {
+    const get = await avanza.call('GET', '/_api/echo', { ignored: true })
+    t.is(get.body, '')
+    t.is(get.headers['content-type'], undefined)
+    t.is(get.headers['content-length'], undefined)
+    t.is(get.headers['accept-encoding'], content.ACCEPT_ENCODING)
+
+    const post = await avanza.call('POST', '/_api/echo', { sent: true })
+    t.is(post.body, '{"sent":true}')
+    t.is(post.headers['content-type'], 'application/json;charset=UTF-8')
+  }))
+
+test('compressed responses are decompressed', t =>
+  withClient(async avanza => {
+    t.deepEqual(await avanza.call('GET', '/_api/gzip'), { compressed: 'gzip' })
+    t.deepEqual(await avanza.call('GET', '/_api/brotli'), { compressed: 'br' })
+  }))
+
+test('text is decoded with its charset', t =>
+  withClient(async avanza => {
+    t.is(await avanza.call('GET', '/_api/latin1'), 'Räntefond')
+  }))
+
+test('invalid JSON rejects, error pages keep their text', t =>
+  withClient(async avanza => {
+    await t.throwsAsync(avanza.call('GET', '/_api/broken'), {
+      instanceOf: Avanza.AvanzaError,
+      message: 'GET /_api/broken returned invalid JSON.',
+    })
+    const error = await t.throwsAsync(avanza.call('GET', '/_api/error'), { instanceOf: Avanza.AvanzaHttpError })
+    t.is(error.body, '<html>Bad gateway</html>')
+  }))
+
+test('download() resolves with a Buffer or a stream', t =>
+  withClient(async avanza => {
+    t.deepEqual(await avanza.download('/_api/note.pdf'), PDF)
+
+    const stream = await avanza.download('/_api/note.pdf', { stream: true })
+    const chunks = []
+    for await (const chunk of stream) {
+      chunks.push(chunk)
+    }
+    t.deepEqual(Buffer.concat(chunks), PDF)
+  }))
+
+test('download() rejects failed downloads', t =>
+  withClient(async avanza => {
+    const error = await t.throwsAsync(avanza.download('/_api/missing.pdf', { stream: true }))
+    t.is(error.statusCode, 404)
+  }))
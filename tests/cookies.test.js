@@ -0,0 +1,101 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const cookies = require('../dist/cookies')
+const { startMockServer, json, loggedIn, withClient } = require('./helpers/mock-server')
+
+const url = new URL('https://www.avanza.se/_api/account/overview')
+
+// Logs in with a second factor and answers everything else with an empty body.
+function startCookieServer() {
+  return startMockServer((req, res) => {
+    if (req.url === constants.paths.AUTHENTICATION_PATH) {
+      json(res, { twoFactorLogin: { method: 'TOTP', transactionId: 'transaction' } })
+      return
+    }
+    if (req.url === constants.paths.TOTP_PATH) {
+      loggedIn(res, {
+        cookie: ['csid=session; Path=/', 'short=lived; Path=/; Max-Age=0', 'data=a=b; Path=/_api/data'],
+      })
+      return
+    }
+    json(res, {})
+  })
+}
+
+test('parse() reads attributes', t => {
+  const cookie = cookies.parse(
+    'id=a=b; Domain=.avanza.se; Path=/_api; Max-Age=60; Expires=Wed, 21 Oct 2015 07:28:00 GMT; Secure; HttpOnly',
+    url,
+    1000
+  )
+  t.is(cookie.name, 'id')
+  t.is(cookie.value, 'a=b')
+  t.is(cookie.domain, 'avanza.se')
+  t.false(cookie.hostOnly)
+  t.is(cookie.path, '/_api')
+  t.is(cookie.expires, 61000)
+  t.true(cookie.secure)
+  t.true(cookie.httpOnly)
+
+  const defaults = cookies.parse('id=1', url)
+  t.is(defaults.domain, 'www.avanza.se')
+  t.true(defaults.hostOnly)
+  t.is(defaults.path, '/_api/account')
+  t.is(defaults.expires, null)
+
+  t.is(cookies.parse('id=1; Domain=example.com', url), null)
+  t.is(cookies.parse('novalue', url), null)
+})
+
+test('the jar only sends matching cookies that have not expired', t => {
+  const jar = new cookies.CookieJar()
+  jar.store(
+    [
+      'all=1; Path=/',
+      'api=2; Path=/_api',
+      'other=3; Path=/_apix',
+      'secure=4; Path=/; Secure',
+      'domain=5; Domain=avanza.se; Path=/',
+      'expiring=6; Path=/; Max-Age=1',
+    ],
+    url,
+    0
+  )
+  t.is(
+    jar
+      .get(url, 500)
+      .map(cookie => cookie.name)
+      .join(),
+    'api,all,secure,domain,expiring'
+  )
+  t.is(jar.header(new URL('http://www.avanza.se/')), 'all=1; domain=5')
+  t.is(jar.header(new URL('https://static.avanza.se/_api')), 'domain=5')
+  t.is(jar.get(url, 1000).length, 4)
+
+  jar.store('all=gone; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT', url, 0)
+  t.false(jar.names().includes('all'))
+})
+
+test('the jar survives a round trip through JSON', t => {
+  const jar = new cookies.CookieJar()
+  jar.store(['a=1; Path=/', 'b=2; Path=/; Max-Age=3600'], url)
+  const restored = new cookies.CookieJar({ cookies: JSON.parse(JSON.stringify(jar.toJSON())) })
+  t.is(restored.header(url), 'a=1; b=2')
+})
+
+test('authenticate() and call() share the jar', t =>
+  withClient(startCookieServer(), {}, async (avanza, { baseUrl, requests }) => {
+    await avanza.authenticate({ username: 'user', password: 'pass', totp: '123456' })
+    await avanza.call('GET', '/_api/test')
+    await avanza.call('GET', '/_api/data/1')
+
+    t.is(requests[1].headers.cookie, 'AZAMFATRANSACTION=transaction')
+    t.is(requests[2].headers.cookie, 'csid=session')
+    t.is(requests[3].headers.cookie, 'data=a=b; csid=session')
+
+    const restored = new Avanza({ baseUrl, cookies: avanza.exportCookies() })
+    t.deepEqual(restored.exportCookies(), avanza.exportCookies())
+    await restored.disconnect()
+  }))
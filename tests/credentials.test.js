@@ -0,0 +1,82 @@
+const test = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const { startMockServer, readBody, json, loggedIn, withClient } = require('./helpers/mock-server')
+
+const credentials = { username: 'user', password: 'pass', totpSecret: 'JBSWY3DPEHPK3PXP' }
+
+// Accepts `user`/`pass` with any second factor code.
+function startCredentialServer() {
+  const logins = []
+  return startMockServer((req, res) => {
+    readBody(req).then(body => {
+      if (req.url === constants.paths.AUTHENTICATION_PATH) {
+        const { username, password } = JSON.parse(body)
+        logins.push(username)
+        if (username !== 'user' || password !== 'pass') {
+          json(res, {}, { statusCode: 401 })
+          return
+        }
+        json(res, { twoFactorLogin: { method: 'TOTP', transactionId: 'transaction' } })
+        return
+      }
+      loggedIn(res)
+    })
+  }).then(mock => ({ ...mock, logins }))
+}
+
+const withCredentialServer = fn => withClient(startCredentialServer(), {}, fn)
+
+test('fromEnv() reads the environment at every login', t => {
+  const env = { AVANZA_USERNAME: 'user', AVANZA_PASSWORD: 'pass' }
+  const provider = Avanza.credentials.fromEnv({ env })
+  t.deepEqual(provider(), { username: 'user', password: 'pass' })
+  env.AVANZA_TOTP_SECRET = 'secret'
+  t.deepEqual(provider(), { username: 'user', password: 'pass', totpSecret: 'secret' })
+})
+
+test('encrypted files round trip and reject the wrong passphrase', async t => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'avanza-')), 'credentials.json')
+  fs.writeFileSync(file, await Avanza.credentials.encryptCredentials(credentials, 'passphrase'))
+  t.false(fs.readFileSync(file, 'utf8').includes('pass"'))
+
+  t.deepEqual(await Avanza.credentials.fromEncryptedFile(file, () => Promise.resolve('passphrase'))(), credentials)
+  await t.throwsAsync(Avanza.credentials.fromEncryptedFile(file, 'wrong')(), {
+    instanceOf: Avanza.ValidationError,
+  })
+})
+
+test('providers are asked at every login and not kept', t =>
+  withCredentialServer(async (avanza, { logins }) => {
+    let asked = 0
+    const provider = {
+      getCredentials: async () => {
+        asked += 1
+        return { ...credentials }
+      },
+    }
+    await avanza.authenticate(provider)
+    await avanza._reauthenticate(avanza._securityToken)
+    t.is(asked, 2)
+    t.deepEqual(logins, ['user', 'user'])
+    t.is(avanza._credentials, provider)
+  }))
+
+test('provider failures and incomplete credentials reject', t =>
+  withCredentialServer(async avanza => {
+    const error = await t.throwsAsync(
+      avanza.authenticate(() => {
+        throw new Error('vault sealed')
+      }),
+      { instanceOf: Avanza.AuthenticationError, message: 'Could not get credentials.' }
+    )
+    t.is(error.cause.message, 'vault sealed')
+    await t.throwsAsync(
+      avanza.authenticate(() => ({ username: 'user' })),
+      { instanceOf: Avanza.ValidationError, message: 'Missing credentials.password.' }
+    )
+  }))
@@ -0,0 +1,139 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const errors = require('../dist/errors')
+const { startMockServer, json, withClient, withLoggedInClient } = require('./helpers/mock-server')
+
+// Answer every request with the response registered for its path, or 200 {} if there is none.
+function startErrorServer(responses) {
+  return startMockServer((req, res) => {
+    const { statusCode = 200, headers = {}, body = {} } = responses[req.url.split('?')[0]] || {}
+    json(res, body, { statusCode, headers })
+  })
+}
+
+test('error classes are exposed on the constructor', t => {
+  t.is(Avanza.AvanzaHttpError, errors.AvanzaHttpError)
+  t.is(Avanza.TwoFactorError, errors.TwoFactorError)
+  t.is(Avanza.fromResponse, undefined)
+  t.true(new errors.TwoFactorError('x') instanceof errors.AuthenticationError)
+  t.true(new errors.ValidationError('x') instanceof errors.AvanzaError)
+  t.is(new errors.ValidationError('x').name, 'ValidationError')
+})
+
+test('parseMessages() collects messages from the known body shapes', t => {
+  t.deepEqual(errors.parseMessages({ message: 'a', messages: ['', 'b'], errors: [{ message: 'c' }] }), ['a', 'b', 'c'])
+  t.deepEqual(errors.parseMessages({ errorMessage: 'd' }), ['d'])
+  t.deepEqual(errors.parseMessages('plain'), ['plain'])
+  t.deepEqual(errors.parseMessages(null), [])
+})
+
+test('fromResponse() picks the most specific class', t => {
+  const response = { statusCode: 400, statusMessage: 'Bad Request', headers: {}, body: {} }
+  t.true(
+    errors.fromResponse({ ...response, statusCode: 429 }, { method: 'GET', path: '/' }) instanceof errors.RateLimitError
+  )
+  t.true(
+    errors.fromResponse(
+      { ...response, headers: { 'aza-invalid-session': '-' } },
+      { method: 'GET', path: '/' }
+    ) instanceof errors.SessionExpiredError
+  )
+  t.true(
+    errors.fromResponse(response, { method: 'POST', path: constants.paths.ORDER_PLACE_PATH }) instanceof
+      errors.OrderRejectedError
+  )
+  const error = errors.fromResponse(response, { method: 'GET', path: '/_api/order/stock' })
+  t.is(error.constructor, errors.AvanzaHttpError)
+})
+
+test('call() rejects with an AvanzaHttpError', t =>
+  withLoggedInClient(
+    startErrorServer({
+      '/_api/test': { statusCode: 404, headers: { 'x-request-id': 'abc' }, body: { message: 'Not here' } },
+    }),
+    { retry: false },
+    async avanza => {
+      const error = await t.throwsAsync(avanza.call('GET', '/_api/test'), {
+        instanceOf: errors.AvanzaHttpError,
+      })
+      t.is(error.statusCode, 404)
+      t.is(error.endpoint, 'GET /_api/test')
+      t.is(error.requestId, 'abc')
+      t.deepEqual(error.messages, ['Not here'])
+      t.regex(error.message, /GET \/_api\/test failed with 404 Not Found: Not here/)
+    }
+  ))
+
+test('call() rejects with a RateLimitError on 429', t =>
+  withLoggedInClient(
+    startErrorServer({
+      '/_api/test': { statusCode: 429, headers: { 'retry-after': '30' } },
+    }),
+    { retry: false },
+    async avanza => {
+      const error = await t.throwsAsync(avanza.call('GET', '/_api/test'), {
+        instanceOf: errors.RateLimitError,
+      })
+      t.is(error.retryAfter, '30')
+    }
+  ))
+
+test('call() rejects with a SessionExpiredError when it cannot log in again', t =>
+  withLoggedInClient(
+    startErrorServer({
+      '/_api/test': { statusCode: 401, headers: { 'aza-invalid-session': '-' } },
+    }),
+    { retry: false },
+    async avanza => {
+      await t.throwsAsync(avanza.call('GET', '/_api/test'), { instanceOf: errors.SessionExpiredError })
+    }
+  ))
+
+test('placeOrder() rejects with an OrderRejectedError', t =>
+  withLoggedInClient(
+    startErrorServer({
+      [constants.paths.ORDER_PLACE_PATH]: {
+        body: { orderRequestStatus: 'ERROR', messages: ['Insufficient funds'], requestId: '42' },
+      },
+    }),
+    { retry: false },
+    async avanza => {
+      const error = await t.throwsAsync(avanza.placeOrder({}), { instanceOf: errors.OrderRejectedError })
+      t.is(error.orderRequestStatus, 'ERROR')
+      t.is(error.requestId, '42')
+      t.deepEqual(error.messages, ['Insufficient funds'])
+    }
+  ))
+
+test('authenticate() rejects with typed errors', t =>
+  withClient(
+    startErrorServer({
+      [constants.paths.AUTHENTICATION_PATH]: { statusCode: 401, body: { message: 'Wrong password' } },
+    }),
+    { retry: false },
+    async avanza => {
+      await t.throwsAsync(avanza.authenticate({ username: 'user' }), { instanceOf: errors.ValidationError })
+      const error = await t.throwsAsync(avanza.authenticate({ username: 'user', password: 'wrong' }), {
+        instanceOf: errors.AuthenticationError,
+        message: 'Wrong password',
+      })
+      t.false(error instanceof errors.TwoFactorError)
+      t.true(error.cause instanceof errors.AvanzaHttpError)
+      t.is(error.cause.statusCode, 401)
+    }
+  ))
+
+test('authenticate() rejects with a TwoFactorError when the code is missing', t =>
+  withClient(
+    startErrorServer({
+      [constants.paths.AUTHENTICATION_PATH]: { body: { twoFactorLogin: { method: 'TOTP', transactionId: 'tx' } } },
+    }),
+    { retry: false },
+    async avanza => {
+      await t.throwsAsync(avanza.authenticate({ username: 'user', password: 'pass' }), {
+        instanceOf: errors.TwoFactorError,
+      })
+    }
+  ))
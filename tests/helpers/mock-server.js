@@ -0,0 +1,106 @@
+const http = require('http')
+const WebSocket = require('ws')
+
+const Avanza = require('../../dist/index')
+
+/*
+ * A stand-in for Avanza on a free local port. `handler(req, res)` answers
+ * every request, which is recorded as `{ method, url, headers }` first. With
+ * `push` a websocket server shares the port.
+ */
+function startMockServer(handler, { push = false } = {}) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers })
+    handler(req, res)
+  })
+  const wss = push ? new WebSocket.Server({ server }) : null
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      resolve({ server, wss, port, baseUrl: `http://127.0.0.1:${port}`, requests })
+    })
+  })
+}
+
+// The whole request body as a string.
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()))
+    req.on('error', reject)
+  })
+}
+
+// Answer with `body` as JSON.
+function json(res, body, { statusCode = 200, headers = {} } = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+// Answer a login the way Avanza does once it is complete.
+function loggedIn(res, { token = 'token', cookie, customerId = 'customer', pushSubscriptionId = 'subscription' } = {}) {
+  const headers = { 'X-SecurityToken': token }
+  if (cookie) {
+    headers['Set-Cookie'] = cookie
+  }
+  json(res, { pushSubscriptionId, customerId }, { headers })
+}
+
+function stop(...mocks) {
+  mocks.forEach(({ server, wss }) => {
+    if (wss) {
+      wss.close()
+    }
+    server.closeAllConnections()
+    server.close()
+  })
+}
+
+// Make the client believe it is logged in, without asking the mock.
+function fakeLogin(avanza, token = 'mock-token') {
+  avanza._authenticated = true
+  avanza._securityToken = token
+  return avanza
+}
+
+function createClient(mock, options = {}) {
+  return fakeLogin(new Avanza({ baseUrl: mock.baseUrl, ...options }))
+}
+
+async function run(mock, createAvanza, fn) {
+  const started = await mock
+  const avanza = createAvanza(started)
+  try {
+    await fn(avanza, started)
+  } finally {
+    await avanza.disconnect()
+    stop(started)
+  }
+}
+
+/*
+ * Run `fn(avanza, mock)` against `mock`, or the promise of one, and clean up
+ * after it whatever happens.
+ */
+function withClient(mock, options, fn) {
+  return run(mock, started => new Avanza({ baseUrl: started.baseUrl, ...options }), fn)
+}
+
+// The same with a client that believes it is logged in.
+function withLoggedInClient(mock, options, fn) {
+  return run(mock, started => createClient(started, options), fn)
+}
+
+module.exports = {
+  startMockServer,
+  readBody,
+  json,
+  loggedIn,
+  stop,
+  fakeLogin,
+  createClient,
+  withClient,
+  withLoggedInClient,
+}
@@ -0,0 +1,111 @@
+const test = require('ava')
+
+const constants = require('../dist/constants')
+const { startMockServer, json, loggedIn, withClient } = require('./helpers/mock-server')
+
+const credentials = { username: 'user', password: 'pass', totp: '123456' }
+
+function startKeepAliveServer() {
+  const state = { logins: 0, pings: 0, info: { user: { loggedIn: true } } }
+  return startMockServer((req, res) => {
+    if (req.url === constants.paths.AUTHENTICATION_PATH) {
+      state.logins += 1
+      loggedIn(res, { token: `token-${state.logins}` })
+      return
+    }
+    if (req.url === constants.paths.SESSION_INFO_PATH) {
+      state.pings += 1
+      json(res, state.info)
+      return
+    }
+    json(res, {})
+  }).then(mock => ({ ...mock, state }))
+}
+
+const withKeepAlive = (options, fn) =>
+  withClient(startKeepAliveServer(), options, (avanza, { state }) => fn(avanza, state))
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+test('getSessionInfo() reports the remaining lifetime', t =>
+  withKeepAlive({}, async avanza => {
+    await avanza.authenticate(credentials)
+    const session = await avanza.getSessionInfo()
+    t.deepEqual(session.info, { user: { loggedIn: true } })
+    t.true(session.remaining > 23 * 60 * 60 * 1000)
+    t.is(session.expires, avanza.exportSession().expires)
+  }))
+
+test('getSessionInfo() goes by the lifetime Avanza reports', t =>
+  withKeepAlive({}, async (avanza, state) => {
+    await avanza.authenticate(credentials)
+    state.info = { user: { loggedIn: true, maxInactiveMinutes: 10 } }
+    const session = await avanza.getSessionInfo()
+    t.true(session.remaining > 9 * 60 * 1000 && session.remaining <= 10 * 60 * 1000)
+    t.is(avanza.getSessionState().expires, session.expires)
+
+    const expires = Date.now() + 5 * 60 * 1000
+    state.info = { expires: new Date(expires).toISOString(), maxInactiveMinutes: 10 }
+    t.is((await avanza.getSessionInfo()).expires, expires)
+  }))
+
+test('the keep-alive looks after a restored session without an expiry', async t => {
+  let session = null
+  await withKeepAlive({}, async avanza => {
+    await avanza.authenticate(credentials)
+    session = { ...avanza.exportSession(), expires: undefined }
+    await avanza.disconnect({ keepSession: true })
+  })
+  await withKeepAlive({ keepAlive: { interval: 20 } }, async (avanza, state) => {
+    await avanza.restoreSession(session)
+    await sleep(100)
+    t.true(state.pings >= 2)
+    t.true(avanza.getSessionState().remaining > 0)
+  })
+})
+
+test('a call starts looking after a restored session without an expiry', t =>
+  withKeepAlive({}, async avanza => {
+    await avanza.authenticate(credentials)
+    const session = { ...avanza.exportSession(), expires: undefined }
+    await avanza.disconnect({ keepSession: true })
+    await avanza.restoreSession(session)
+    t.is(avanza.getSessionState().expires, null)
+    const scheduled = avanza._reauthentication
+    await avanza.call('GET', '/_api/test')
+    t.true(avanza.getSessionState().remaining > 0)
+    t.truthy(avanza._reauthentication)
+    t.not(avanza._reauthentication, scheduled)
+  }))
+
+test('the keep-alive pings while idle', t =>
+  withKeepAlive({ keepAlive: { interval: 20 } }, async (avanza, state) => {
+    const events = []
+    avanza.on('telemetry', event => event.type === 'keepAlive' && events.push(event))
+    await avanza.authenticate(credentials)
+    await sleep(150)
+    t.true(state.pings >= 2)
+    t.true(events.length >= 2)
+    t.true(events[0].remaining > 0)
+    t.is(state.logins, 1)
+  }))
+
+test('the client logs in again shortly before an idle session runs out', t =>
+  withKeepAlive({}, async (avanza, state) => {
+    await avanza.authenticate(credentials)
+    avanza._sessionExpires = Date.now() + 60 * 1000 + 30
+    avanza._scheduleSessionCheck()
+    await sleep(150)
+    t.is(state.logins, 2)
+    t.is(avanza._securityToken, 'token-2')
+  }))
+
+test('activity postpones logging in again', t =>
+  withKeepAlive({}, async (avanza, state) => {
+    await avanza.authenticate(credentials)
+    avanza._sessionExpires = Date.now() + 60 * 1000 + 100
+    avanza._scheduleSessionCheck()
+    await avanza.call('GET', '/_api/test')
+    await sleep(200)
+    t.is(state.logins, 1)
+  }))
@@ -0,0 +1,119 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const logger = require('../dist/logger')
+const { startMockServer, json, loggedIn, withClient } = require('./helpers/mock-server')
+
+// Logs in with a second factor and answers everything else with an account.
+function startLoggerServer() {
+  return startMockServer((req, res) => {
+    if (req.url === constants.paths.AUTHENTICATION_PATH) {
+      json(res, { twoFactorLogin: { method: 'TOTP', transactionId: 'secret-transaction' } })
+      return
+    }
+    if (req.url === constants.paths.TOTP_PATH) {
+      loggedIn(res, {
+        token: 'secret-token',
+        cookie: 'csid=secret-cookie; Path=/',
+        pushSubscriptionId: 'secret-subscription',
+      })
+      return
+    }
+    json(res, { accountId: '1234567', name: 'ISK' })
+  })
+}
+
+function createSink() {
+  const entries = []
+  const sink = {}
+  logger.LEVELS.forEach(level => {
+    sink[level] = (message, fields) => entries.push({ level, message, fields })
+  })
+  return { sink, entries }
+}
+
+test('redact() masks secrets and account numbers', t => {
+  const error = new Error('boom')
+  error.headers = { 'x-securitytoken': 'abc', 'content-type': 'application/json' }
+  t.deepEqual(
+    logger.redact({
+      password: 'hunter2',
+      totpSecret: 'JBSWY3DP',
+      headers: { 'X-SecurityToken': 'abc', Cookie: 'a=b' },
+      accounts: [{ accountId: '1234567', urlParameterId: 'abcdef' }],
+      error,
+      count: 3,
+    }),
+    {
+      password: logger.REDACTED,
+      totpSecret: logger.REDACTED,
+      headers: { 'X-SecurityToken': logger.REDACTED, Cookie: logger.REDACTED },
+      accounts: [{ accountId: '*****67', urlParameterId: '****ef' }],
+      error: {
+        name: 'Error',
+        message: 'boom',
+        headers: { 'x-securitytoken': logger.REDACTED, 'content-type': 'application/json' },
+      },
+      count: 3,
+    }
+  )
+})
+
+test('redact() keeps account numbers in failed paths out of error messages', t => {
+  const error = new Avanza.AvanzaHttpError(
+    { statusCode: 500, statusMessage: 'Internal Server Error', body: { message: 'Try again' } },
+    { method: 'GET', path: '/_api/account-overview/overview/account/1234567' }
+  )
+  const redacted = logger.redact(error)
+  t.is(redacted.endpoint, `GET ${constants.paths.ACCOUNT_OVERVIEW_PATH}`)
+  t.is(
+    redacted.message,
+    `GET ${constants.paths.ACCOUNT_OVERVIEW_PATH} failed with 500 Internal Server Error: Try again`
+  )
+  t.false(JSON.stringify(redacted).includes('1234567'))
+})
+
+test('redact() survives circular references', t => {
+  const value = { a: 1 }
+  value.self = value
+  t.deepEqual(logger.redact(value), { a: 1, self: '[Circular]' })
+})
+
+test('child loggers add their fields to every entry', t => {
+  const { sink, entries } = createSink()
+  const log = new logger.Logger(sink).child({ method: 'GET' }).child({ path: '/x' })
+  log.info('hello', { extra: true })
+  t.deepEqual(entries, [{ level: 'info', message: 'hello', fields: { method: 'GET', path: '/x', extra: true } }])
+})
+
+test('a broken or partial logger does not break anything', t => {
+  t.notThrows(() => new logger.Logger({ warn: () => {} }).debug('ignored'))
+  t.notThrows(() =>
+    new logger.Logger({
+      warn: () => {
+        throw new Error('broken')
+      },
+    }).warn('ignored')
+  )
+  t.notThrows(() => new logger.Logger(false).error('ignored'))
+})
+
+test('secrets never reach the injected logger', t => {
+  const { sink, entries } = createSink()
+  return withClient(startLoggerServer(), { logger: sink }, async avanza => {
+    await avanza.authenticate({ username: 'user', password: 'secret-password', totp: '123456' })
+    await avanza.call('GET', '/_api/test')
+
+    t.true(entries.length > 0)
+    const output = JSON.stringify(entries)
+    const secrets = ['secret-password', '123456', 'secret-transaction', 'secret-token', 'secret-cookie']
+    secrets.forEach(secret => t.false(output.includes(secret), `${secret} was logged`))
+    const sent = entries.find(entry => entry.message === 'Sending request')
+    t.is(sent.fields.method, 'GET')
+    t.is(sent.fields.path, '/_api/test')
+
+    await avanza.getAccountOverview('1234567')
+    t.false(JSON.stringify(entries).includes('1234567'), 'the account number was logged')
+  })
+})
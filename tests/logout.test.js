@@ -0,0 +1,250 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const { startMockServer, json, loggedIn, stop } = require('./helpers/mock-server')
+
+const credentials = { username: 'user', password: 'pass', totp: '123456' }
+
+// REST endpoints plus a push server speaking just enough CometD.
+function startLogoutServer(options = {}) {
+  const state = { deletes: [], push: [], unavailable: 0 }
+  const started = startMockServer(
+    (req, res) => {
+      if (req.url === '/_api/unavailable') {
+        state.unavailable += 1
+        json(res, {}, { statusCode: 503 })
+        return
+      }
+      if (req.method === 'DELETE' && req.url === constants.paths.LOGOUT_PATH) {
+        state.deletes.push(req.headers)
+        setTimeout(() => json(res, {}, { statusCode: options.logoutStatus || 200 }), options.logoutDelay || 0)
+        return
+      }
+      if (req.url === constants.paths.AUTHENTICATION_PATH) {
+        loggedIn(res, { cookie: 'csid=session; Path=/' })
+        return
+      }
+      json(res, {})
+    },
+    { push: true }
+  )
+  return started.then(mock => {
+    mock.wss.on('connection', socket => {
+      socket.on('message', data => {
+        JSON.parse(data).forEach(message => {
+          state.push.push(message)
+          const reply = { channel: message.channel, id: message.id, successful: true }
+          if (message.channel === '/meta/handshake') {
+            reply.clientId = 'client'
+          } else if (
+            message.channel === '/meta/connect' &&
+            state.push.filter(m => m.channel === '/meta/connect').length > 1
+          ) {
+            // CometD holds the long poll open, answering it right away would spin
+            return
+          } else if (message.channel === '/meta/subscribe' || message.channel === '/meta/unsubscribe') {
+            reply.subscription = message.subscription
+          } else if (message.channel === '/meta/disconnect' && options.silentPush) {
+            return
+          }
+          socket.send(JSON.stringify([reply]))
+        })
+      })
+    })
+    return { ...mock, state }
+  })
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i += 1) {
+    await sleep(20)
+  }
+}
+
+const timeouts = () => process.getActiveResourcesInfo().filter(type => type === 'Timeout').length
+
+test.serial('disconnect() unsubscribes, says goodbye to the push server and deletes the session', async t => {
+  const mock = await startLogoutServer()
+  const baseline = timeouts()
+  const avanza = new Avanza({ baseUrl: mock.baseUrl, keepAlive: true })
+  try {
+    await avanza.authenticate(credentials)
+    avanza.subscribe(Avanza.QUOTES, '5361', () => {})
+    await waitFor(() => avanza._socketSubscriptions['/quotes/5361'] === 'client')
+    t.is(avanza._socketSubscriptions['/quotes/5361'], 'client')
+
+    await avanza.disconnect()
+
+    const channels = mock.state.push.map(message => message.channel)
+    t.deepEqual(channels.slice(-2), ['/meta/unsubscribe', '/meta/disconnect'])
+    t.is(mock.state.push[mock.state.push.length - 2].subscription, '/quotes/5361')
+    t.is(mock.state.deletes.length, 1)
+    t.is(mock.state.deletes[0]['x-securitytoken'], 'token')
+    t.is(mock.state.deletes[0].cookie, 'csid=session')
+    t.is(avanza._socket, null)
+    t.is(timeouts(), baseline)
+    await t.throwsAsync(avanza.call('GET', '/_api/test'), { instanceOf: Avanza.AuthenticationError })
+  } finally {
+    stop(mock)
+  }
+})
+
+test.serial('disconnect() does not wait forever for the push server', async t => {
+  const mock = await startLogoutServer({ silentPush: true })
+  const avanza = new Avanza({ baseUrl: mock.baseUrl, timeout: 100 })
+  try {
+    await avanza.authenticate(credentials)
+    avanza.subscribe(Avanza.QUOTES, '5361', () => {})
+    await waitFor(() => avanza._socketSubscriptions['/quotes/5361'] === 'client')
+    const started = Date.now()
+    await avanza.disconnect()
+    t.true(Date.now() - started < 1000)
+    t.is(mock.state.deletes.length, 1)
+  } finally {
+    stop(mock)
+  }
+})
+
+test.serial('keepSession leaves the session alive on Avanza', async t => {
+  const mock = await startLogoutServer()
+  const avanza = new Avanza({ baseUrl: mock.baseUrl })
+  try {
+    await avanza.authenticate(credentials)
+    await avanza.disconnect({ keepSession: true })
+    t.is(mock.state.deletes.length, 0)
+  } finally {
+    stop(mock)
+  }
+})
+
+test.serial('logout() rejects when the session could not be deleted, after tearing down', async t => {
+  const mock = await startLogoutServer({ logoutStatus: 500 })
+  const avanza = new Avanza({ baseUrl: mock.baseUrl, retry: false })
+  const loggedOut = []
+  avanza.on(Avanza.LOGGED_OUT, payload => loggedOut.push(payload))
+  try {
+    await avanza.authenticate(credentials)
+    await t.throwsAsync(avanza.logout(), { instanceOf: Avanza.AvanzaHttpError })
+    t.deepEqual(loggedOut, [{ reason: 'logout', sessionDeleted: false }])
+    t.false(avanza._authenticated)
+    t.is(avanza.listenerCount(Avanza.LOGGED_OUT), 0)
+  } finally {
+    stop(mock)
+  }
+})
+
+test.serial('disconnect() rejects requests waiting in the rate limiter', async t => {
+  const mock = await startLogoutServer()
+  const avanza = new Avanza({
+    baseUrl: mock.baseUrl,
+    rateLimit: { groups: { market: { rate: 1, burst: 1 } } },
+  })
+  try {
+    await avanza.authenticate(credentials)
+    await avanza.call('GET', '/_api/market-guide/stock/1')
+    const queued = avanza.call('GET', '/_api/market-guide/stock/2', {}, { retry: false })
+    await avanza.disconnect()
+    await t.throwsAsync(queued, { instanceOf: Avanza.AbortError, message: 'The client was disconnected.' })
+  } finally {
+    stop(mock)
+  }
+})
+
+test.serial('disconnect() stops calls that are waiting to be retried', async t => {
+  const mock = await startLogoutServer()
+  const baseline = timeouts()
+  const avanza = new Avanza({
+    baseUrl: mock.baseUrl,
+    retry: { minDelay: 60000, maxDelay: 60000, jitter: false },
+  })
+  try {
+    await avanza.authenticate(credentials)
+    const retrying = avanza.call('GET', '/_api/unavailable')
+    await waitFor(() => mock.state.unavailable === 1)
+    await sleep(20)
+    await avanza.disconnect()
+    await t.throwsAsync(retrying, { instanceOf: Avanza.AbortError })
+    t.is(mock.state.unavailable, 1)
+    t.is(timeouts(), baseline)
+  } finally {
+    stop(mock)
+  }
+})
+
+test.serial('disconnect() completes when the recording cannot be written', async t => {
+  const mock = await startLogoutServer()
+  const avanza = new Avanza({
+    baseUrl: mock.baseUrl,
+    recording: { mode: 'record', path: `${__filename}/recording.json` },
+  })
+  const loggedOut = []
+  avanza.on(Avanza.LOGGED_OUT, payload => loggedOut.push(payload))
+  try {
+    await avanza.authenticate(credentials)
+    await avanza.disconnect()
+    t.deepEqual(loggedOut, [{ reason: 'disconnect', sessionDeleted: true }])
+    t.is(avanza.listenerCount(Avanza.LOGGED_OUT), 0)
+  } finally {
+    stop(mock)
+  }
+})
+
+test.serial('a session restored after disconnect() can make calls', async t => {
+  const mock = await startLogoutServer()
+  const avanza = new Avanza({ baseUrl: mock.baseUrl })
+  try {
+    await avanza.authenticate(credentials)
+    const session = avanza.exportSession()
+    await avanza.disconnect({ keepSession: true })
+    await avanza.restoreSession(session)
+    t.deepEqual(await avanza.call('GET', '/_api/test'), {})
+    await avanza.disconnect({ keepSession: true })
+    await avanza.restoreSession(session)
+    t.deepEqual(await avanza.call('GET', '/_api/test'), {})
+  } finally {
+    await avanza.disconnect({ keepSession: true })
+    stop(mock)
+  }
+})
+
+test.serial('a login while disconnect() waits for Avanza keeps its cookies and listeners', async t => {
+  const mock = await startLogoutServer({ logoutDelay: 200 })
+  const avanza = new Avanza({ baseUrl: mock.baseUrl })
+  try {
+    await avanza.authenticate(credentials)
+    const disconnected = avanza.disconnect()
+    await avanza.authenticate(credentials)
+    const events = []
+    avanza.on('telemetry', event => events.push(event.type))
+    await disconnected
+
+    await avanza.call('GET', '/_api/test')
+    t.is(mock.requests[mock.requests.length - 1].headers.cookie, 'csid=session')
+    t.true(events.includes('request'))
+    t.true(avanza._authenticated)
+  } finally {
+    await avanza.disconnect()
+    stop(mock)
+  }
+})
+
+test.serial('many concurrent calls do not warn about abort listeners', async t => {
+  const mock = await startLogoutServer()
+  const avanza = new Avanza({ baseUrl: mock.baseUrl, coalesce: false })
+  const warnings = []
+  const onWarning = warning => warnings.push(warning.name)
+  process.on('warning', onWarning)
+  try {
+    await avanza.authenticate(credentials)
+    await Promise.all(Array.from({ length: 12 }, (_, i) => avanza.call('GET', `/_api/test/${i}`)))
+    await new Promise(resolve => setImmediate(resolve))
+    t.deepEqual(warnings, [])
+  } finally {
+    process.off('warning', onWarning)
+    await avanza.disconnect()
+    stop(mock)
+  }
+})
@@ -0,0 +1,21 @@
+const test = require('ava')
+
+const lru = require('../dist/lru')
+
+test('MemoryCache evicts the least recently used entry', t => {
+  const store = new lru.MemoryCache({ maxEntries: 2 })
+  store.set('a', 1, 1000)
+  store.set('b', 2, 1000)
+  t.is(store.get('a'), 1)
+  store.set('c', 3, 1000)
+  t.is(store.get('b'), undefined)
+  t.deepEqual(store.keys(), ['a', 'c'])
+})
+
+test('MemoryCache expires entries', async t => {
+  const store = new lru.MemoryCache()
+  store.set('a', 1, 10)
+  t.is(store.get('a'), 1)
+  await new Promise(resolve => setTimeout(resolve, 20))
+  t.is(store.get('a'), undefined)
+})
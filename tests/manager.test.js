@@ -0,0 +1,147 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const { ClientManager } = require('../dist/manager')
+const { startMockServer, readBody, json, loggedIn, stop } = require('./helpers/mock-server')
+
+// Every user gets a token of their own, `bad` can not log in.
+function startManagerServer() {
+  const state = { logins: [] }
+  return startMockServer((req, res) => {
+    readBody(req).then(body => {
+      if (req.url === constants.paths.AUTHENTICATION_PATH && req.method === 'POST') {
+        const { username } = JSON.parse(body)
+        state.logins.push({ username, at: Date.now() })
+        if (username === 'bad') {
+          json(res, { message: 'Wrong password' }, { statusCode: 401 })
+          return
+        }
+        loggedIn(res, { token: `token-${username}`, customerId: username })
+        return
+      }
+      json(res, { token: req.headers['x-securitytoken'] })
+    })
+  }).then(mock => ({ ...mock, state }))
+}
+
+async function withManager(options, fn) {
+  const mock = await startManagerServer()
+  const manager = new Avanza.ClientManager({
+    stagger: 50,
+    ...options,
+    clientOptions: { baseUrl: mock.baseUrl, retry: false },
+  })
+  try {
+    await fn(manager, mock.state)
+  } finally {
+    await manager.disconnectAll({ keepSession: true })
+    stop(mock)
+  }
+}
+
+const credentials = username => ({ username, password: 'pass', totp: '123456' })
+
+test('authenticateAll() staggers the logins and reports each outcome', t =>
+  withManager({}, async (manager, state) => {
+    manager.add('alice', credentials('alice'))
+    manager.add('bob', credentials('bob'))
+    manager.add('mallory', credentials('bad'))
+
+    const started = Date.now()
+    const results = await manager.authenticateAll()
+    t.is(results.alice.session.customerId, 'alice')
+    t.is(results.bob.session.customerId, 'bob')
+    t.true(results.mallory.error instanceof Avanza.AuthenticationError)
+
+    t.deepEqual(
+      state.logins.map(login => login.username),
+      ['alice', 'bob', 'bad']
+    )
+    t.true(state.logins[1].at - started >= 50)
+    t.true(state.logins[2].at - started >= 100)
+
+    // Users that are logged in already are skipped
+    await manager.authenticateAll()
+    t.is(state.logins.filter(login => login.username === 'alice').length, 1)
+  }))
+
+test('calls are routed by user key', t =>
+  withManager({}, async manager => {
+    manager.add('alice', credentials('alice'))
+    manager.add('bob', credentials('bob'))
+    await manager.authenticateAll()
+
+    t.deepEqual(await manager.call('alice', 'GET', '/_api/test'), { token: 'token-alice' })
+    t.deepEqual(await manager.run('bob', avanza => avanza.call('GET', '/_api/test')), { token: 'token-bob' })
+    t.is(manager.get('bob').exportSession().securityToken, 'token-bob')
+    await t.throwsAsync(manager.call('carol', 'GET', '/_api/test'), {
+      instanceOf: Avanza.ValidationError,
+      message: 'No client for carol.',
+    })
+  }))
+
+test('health() sums up every client', t =>
+  withManager({}, async manager => {
+    t.false(manager.health().healthy)
+    manager.add('alice', credentials('alice'))
+    manager.add('mallory', credentials('bad'))
+    await manager.authenticateAll()
+
+    const health = manager.health()
+    t.false(health.healthy)
+    t.is(health.total, 2)
+    t.is(health.authenticated, 1)
+    t.true(health.clients.alice.authenticated)
+    t.true(health.clients.alice.remaining > 0)
+    t.is(health.clients.alice.lastError, null)
+    t.false(health.clients.mallory.authenticated)
+    t.true(health.clients.mallory.lastError instanceof Avanza.AuthenticationError)
+
+    await manager.remove('mallory')
+    t.true(manager.health().healthy)
+    t.deepEqual(manager.keys(), ['alice'])
+  }))
+
+test('session events are passed on with the key', t =>
+  withManager({}, async manager => {
+    const events = []
+    manager.on(Avanza.AUTHENTICATED, event => events.push(event))
+    manager.add('alice', credentials('alice'))
+    await manager.authenticate('alice')
+    t.like(events[0], { key: 'alice', method: 'password', customerId: 'alice' })
+  }))
+
+test('keys are unique', t =>
+  withManager({}, async manager => {
+    manager.add('alice', credentials('alice'))
+    t.throws(() => manager.add('alice', credentials('alice')), { instanceOf: Avanza.ValidationError })
+    t.true(manager.has('alice'))
+  }))
+
+test('aborting authenticateAll() cancels the logins that have not started', t =>
+  withManager({ stagger: 1000 }, async (manager, state) => {
+    manager.add('alice', credentials('alice'))
+    manager.add('bob', credentials('bob'))
+    const controller = new AbortController()
+    const pending = manager.authenticateAll({ signal: controller.signal })
+    setTimeout(() => controller.abort(), 100)
+    const results = await pending
+    t.truthy(results.alice.session)
+    t.true(results.bob.error instanceof Avanza.AbortError)
+    t.is(state.logins.length, 1)
+  }))
+
+test('the manager creates clients of the class it is given', t =>
+  withManager({}, async manager => {
+    t.true(manager.add('alice', credentials('alice')) instanceof Avanza)
+    t.true(manager instanceof ClientManager)
+
+    class Custom extends Avanza {}
+    const custom = new Avanza.ClientManager({ Client: Custom })
+    t.true(custom.add('bob', credentials('bob')) instanceof Custom)
+    await custom.disconnectAll()
+
+    t.is(Avanza.ClientManager, ClientManager)
+    t.throws(() => new ClientManager({ Client: 'Avanza' }), { instanceOf: Avanza.ValidationError })
+  }))
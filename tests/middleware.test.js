@@ -0,0 +1,67 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const errors = require('../dist/errors')
+const { startMockServer, json, fakeLogin, withLoggedInClient } = require('./helpers/mock-server')
+
+// Echo the request back as JSON.
+function startEchoServer() {
+  return startMockServer((req, res) => json(res, { url: req.url }))
+}
+
+test('middleware can modify outgoing requests', t =>
+  withLoggedInClient(startEchoServer(), { retry: false, pool: false }, async (avanza, { requests }) => {
+    avanza.use((req, next) => next({ ...req, headers: { ...req.headers, 'X-Trace': 'abc' } }))
+    await avanza.call('GET', '/_api/test')
+    t.is(requests[0].headers['x-trace'], 'abc')
+    t.is(requests[0].headers['x-securitytoken'], 'mock-token')
+  }))
+
+test('middleware can short-circuit with a canned response', t => {
+  const middleware = [(req, next) => (req.path === '/_api/canned' ? { body: { canned: true } } : next(req))]
+  return withLoggedInClient(
+    startEchoServer(),
+    { retry: false, pool: false, middleware },
+    async (avanza, { requests }) => {
+      t.deepEqual(await avanza.call('GET', '/_api/canned'), { canned: true })
+      t.deepEqual(await avanza.call('GET', '/_api/real'), { url: '/_api/real' })
+      t.is(requests.length, 1)
+    }
+  )
+})
+
+test('canned error responses reject like real ones', async t => {
+  const middleware = [() => ({ statusCode: 404, body: { message: 'Gone' } })]
+  const avanza = fakeLogin(new Avanza({ baseUrl: 'http://127.0.0.1:1', retry: false, pool: false, middleware }))
+  const error = await t.throwsAsync(avanza.call('GET', '/_api/test'), { instanceOf: errors.AvanzaHttpError })
+  t.deepEqual(error.messages, ['Gone'])
+})
+
+test('middleware runs in order and can transform responses and errors', t =>
+  withLoggedInClient(startEchoServer(), { retry: false, pool: false }, async avanza => {
+    const order = []
+    avanza.use((req, next) => {
+      order.push('outer')
+      return next(req).then(res => ({ ...res, body: { ...res.body, outer: true } }))
+    })
+    avanza.use((req, next) => {
+      order.push('inner')
+      if (req.path === '/_api/fail') {
+        return Promise.reject(new Error('boom'))
+      }
+      return next(req)
+    })
+    t.deepEqual(await avanza.call('GET', '/_api/test'), { url: '/_api/test', outer: true })
+    t.deepEqual(order, ['outer', 'inner'])
+    await t.throwsAsync(avanza.call('GET', '/_api/fail'), { message: 'boom' })
+  }))
+
+test('use() returns a function that removes the middleware', t =>
+  withLoggedInClient(startEchoServer(), { retry: false, pool: false }, async (avanza, { requests }) => {
+    const remove = avanza.use(() => ({ body: { canned: true } }))
+    t.deepEqual(await avanza.call('GET', '/_api/test'), { canned: true })
+    remove()
+    t.deepEqual(await avanza.call('GET', '/_api/test'), { url: '/_api/test' })
+    t.is(requests.length, 1)
+    t.throws(() => avanza.use('nope'), { instanceOf: errors.ValidationError })
+  }))
@@ -17,7 +17,7 @@ test.serial('getAccountOverview()', async t => {
   await t.context.avanza.getAccountOverview('12345')
 
   const actual = t.context.avanza.call.args[0]
-  const expected = ['GET', constants.paths.ACCOUNT_OVERVIEW_PATH.replace('{0}', '12345')]
+  const expected = ['GET', constants.paths.ACCOUNT_OVERVIEW_PATH.replace('{0}', '12345'), {}, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -25,7 +25,7 @@ test.serial('getTransactions() without options', async t => {
   await t.context.avanza.getTransactions('12345')
 
   const actual = t.context.avanza.call.args[0]
-  const expected = ['GET', constants.paths.TRANSACTIONS_PATH.replace('{0}', '12345')]
+  const expected = ['GET', constants.paths.TRANSACTIONS_PATH.replace('{0}', '12345'), {}, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -42,7 +42,7 @@ test.serial('getTransactions() with options', async t => {
   const expectedQuery = '?from=2017-01-01&to=2018-01-01&maxAmount=12345&minAmount=54321&orderbookId=A%2CB%2CC'
 
   const actual = t.context.avanza.call.args[0]
-  const expected = ['GET', expectedPath + expectedQuery]
+  const expected = ['GET', expectedPath + expectedQuery, {}, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -52,7 +52,7 @@ test.serial('addToWatchlist()', async t => {
   const expectedPath = constants.paths.WATCHLISTS_ADD_DELETE_PATH.replace('{1}', '12345').replace('{0}', '54321')
 
   const actual = t.context.avanza.call.args[0]
-  const expected = ['PUT', expectedPath]
+  const expected = ['PUT', expectedPath, {}, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -62,7 +62,7 @@ test.serial('removeFromWatchlist()', async t => {
   const expectedPath = constants.paths.WATCHLISTS_ADD_DELETE_PATH.replace('{1}', '12345').replace('{0}', '54321')
 
   const actual = t.context.avanza.call.args[0]
-  const expected = ['DELETE', expectedPath]
+  const expected = ['DELETE', expectedPath, {}, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -70,7 +70,7 @@ test.serial('getInstrument()', async t => {
   await t.context.avanza.getInstrument('STOCK', '12345')
 
   const actual = t.context.avanza.call.args[0]
-  const expected = ['GET', constants.paths.INSTRUMENT_PATH.replace('{0}', 'stock').replace('{1}', '12345')]
+  const expected = ['GET', constants.paths.INSTRUMENT_PATH.replace('{0}', 'stock').replace('{1}', '12345'), {}, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -80,7 +80,7 @@ test.serial('getOrderbook()', async t => {
   const expectedPath = constants.paths.ORDERBOOK_PATH.replace('{0}', 'stock')
   const expectedQuery = '?orderbookId=12345'
   const actual = t.context.avanza.call.args[0]
-  const expected = ['GET', expectedPath + expectedQuery]
+  const expected = ['GET', expectedPath + expectedQuery, {}, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -90,7 +90,7 @@ test.serial('getOrderbooks()', async t => {
   const expectedPath = constants.paths.ORDERBOOK_LIST_PATH.replace('{0}', '123,456,789')
   const expectedQuery = '?sort=name'
   const actual = t.context.avanza.call.args[0]
-  const expected = ['GET', expectedPath + expectedQuery]
+  const expected = ['GET', expectedPath + expectedQuery, {}, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -100,7 +100,7 @@ test.serial('getChartdata()', async t => {
   const expectedPath = constants.paths.CHARTDATA_PATH.replace('{0}', '12345')
   const expectedQuery = '?timePeriod=test'
   const actual = t.context.avanza.call.args[0]
-  const expected = ['GET', expectedPath + expectedQuery]
+  const expected = ['GET', expectedPath + expectedQuery, {}, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -116,7 +116,7 @@ test.serial('placeOrder()', async t => {
   await t.context.avanza.placeOrder(options)
 
   const actual = t.context.avanza.call.args[0]
-  const expected = ['POST', constants.paths.ORDER_PLACE_PATH, { ...options }]
+  const expected = ['POST', constants.paths.ORDER_PLACE_PATH, { ...options }, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -126,7 +126,7 @@ test.serial('getOrder()', async t => {
   const expectedPath = constants.paths.ORDER_GET_PATH.replace('{0}', 'stock')
   const expectedQuery = '?accountId=12345&orderId=54321'
   const actual = t.context.avanza.call.args[0]
-  const expected = ['GET', expectedPath + expectedQuery]
+  const expected = ['GET', expectedPath + expectedQuery, {}, {}]
   t.deepEqual(actual, expected)
 })
 
@@ -135,6 +135,6 @@ test.serial('deleteOrder()', async t => {
 
   const expectedPath = constants.paths.ORDER_DELETE_PATH
   const actual = t.context.avanza.call.args[0]
-  const expected = ['POST', expectedPath, { accountId: '12345', orderId: '54321' }]
+  const expected = ['POST', expectedPath, { accountId: '12345', orderId: '54321' }, {}]
   t.deepEqual(actual, expected)
 })
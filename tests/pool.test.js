@@ -0,0 +1,42 @@
+const test = require('ava')
+
+const { startMockServer, json, withLoggedInClient } = require('./helpers/mock-server')
+
+// Counts the connections clients open.
+function startPoolServer() {
+  const connections = []
+  return startMockServer((req, res) => json(res, { ok: true })).then(mock => {
+    mock.server.on('connection', socket => connections.push(socket))
+    return { ...mock, connections }
+  })
+}
+
+test('consecutive calls reuse one connection', t =>
+  withLoggedInClient(startPoolServer(), {}, async (avanza, { connections }) => {
+    await avanza.call('GET', '/_api/test')
+    await avanza.call('GET', '/_api/test')
+    await avanza.call('GET', '/_api/test')
+    t.is(connections.length, 1)
+    t.deepEqual(avanza.getConnectionStats(), { created: 1, reused: 2, active: 0, idle: 1 })
+  }))
+
+test('maxSockets limits the number of connections', t =>
+  withLoggedInClient(startPoolServer(), { pool: { maxSockets: 2 } }, async (avanza, { connections }) => {
+    await Promise.all([1, 2, 3, 4].map(n => avanza.call('GET', `/_api/test/${n}`)))
+    t.is(connections.length, 2)
+    t.is(avanza.getConnectionStats().created, 2)
+  }))
+
+test('disconnect() closes pooled connections', t =>
+  withLoggedInClient(startPoolServer(), {}, async avanza => {
+    await avanza.call('GET', '/_api/test')
+    t.is(avanza.getConnectionStats().idle, 1)
+    await avanza.disconnect()
+    t.is(avanza.getConnectionStats().idle, 0)
+  }))
+
+test('pooling can be disabled', t =>
+  withLoggedInClient(startPoolServer(), { pool: false }, async avanza => {
+    t.deepEqual(await avanza.call('GET', '/_api/test'), { ok: true })
+    t.is(avanza.getConnectionStats(), null)
+  }))
@@ -0,0 +1,80 @@
+const test = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const { startMockServer, json, loggedIn, withClient } = require('./helpers/mock-server')
+
+const fixture = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'avanza-')), 'session.json')
+
+// Logs in with a second factor, fails `/_api/missing` and answers everything else with a counter.
+function startRecordedServer() {
+  let count = 0
+  return startMockServer((req, res) => {
+    if (req.url === constants.paths.AUTHENTICATION_PATH) {
+      json(res, { twoFactorLogin: { method: 'TOTP', transactionId: 'secret-transaction' } })
+      return
+    }
+    if (req.url === constants.paths.TOTP_PATH) {
+      loggedIn(res, {
+        token: 'secret-token',
+        cookie: 'csid=secret-cookie; Path=/',
+        pushSubscriptionId: 'secret-subscription',
+      })
+      return
+    }
+    if (req.url === '/_api/missing') {
+      json(res, { message: 'Not found' }, { statusCode: 404 })
+      return
+    }
+    count += 1
+    json(res, { count })
+  })
+}
+
+test.serial('record mode writes redacted requests and push messages', async t => {
+  await withClient(startRecordedServer(), { recording: { mode: 'record', path: fixture } }, async avanza => {
+    await avanza.authenticate({ username: 'user', password: 'secret-password', totp: '123456' })
+    await avanza.call('GET', '/_api/test')
+    await avanza.call('GET', '/_api/test')
+    await t.throwsAsync(avanza.call('GET', '/_api/missing'), { instanceOf: Avanza.AvanzaHttpError })
+    avanza._socketHandleMessage(JSON.stringify([{ channel: '/quotes/5361', data: { lastPrice: 100 } }]))
+  })
+
+  const output = fs.readFileSync(fixture, 'utf8')
+  const recording = JSON.parse(output)
+  const secrets = ['secret-password', '123456', 'secret-transaction', 'secret-token', 'secret-cookie']
+  secrets.forEach(secret => t.false(output.includes(secret), `${secret} was recorded`))
+  t.is(recording.requests.length, 6)
+  t.is(recording.requests[5].request.method, 'DELETE')
+  t.deepEqual(recording.requests[1].response.headers['set-cookie'], ['csid=[REDACTED]; Path=/'])
+  t.deepEqual(recording.push, [{ channel: '/quotes/5361', data: { lastPrice: 100 } }])
+})
+
+test.serial('replay mode answers from the recording without network', async t => {
+  const avanza = new Avanza({ baseUrl: 'http://127.0.0.1:1', recording: { mode: 'replay', path: fixture } })
+  try {
+    const session = await avanza.authenticate({ username: 'other', password: 'other', totp: '000000' })
+    t.is(session.customerId, 'customer')
+    t.deepEqual(await avanza.call('GET', '/_api/test'), { count: 1 })
+    t.deepEqual(await avanza.call('GET', '/_api/test'), { count: 2 })
+    t.deepEqual(await avanza.call('GET', '/_api/test'), { count: 2 })
+    const error = await t.throwsAsync(avanza.call('GET', '/_api/missing'), { instanceOf: Avanza.AvanzaHttpError })
+    t.is(error.statusCode, 404)
+    await t.throwsAsync(avanza.call('GET', '/_api/unknown'), { message: 'No recorded response for GET /_api/unknown.' })
+
+    const data = await new Promise(resolve => avanza.subscribe(Avanza.QUOTES, '5361', resolve))
+    t.deepEqual(data, { lastPrice: 100 })
+  } finally {
+    await avanza.disconnect()
+  }
+})
+
+test('invalid recording options are rejected', t => {
+  t.throws(() => new Avanza({ recording: { mode: 'rewind', path: fixture } }), { instanceOf: Avanza.ValidationError })
+  t.throws(() => new Avanza({ recording: { mode: 'replay', path: `${fixture}.missing` } }), {
+    instanceOf: Avanza.ValidationError,
+  })
+})
@@ -0,0 +1,76 @@
+const test = require('ava')
+
+const retry = require('../dist/retry')
+const { startMockServer, json, withLoggedInClient } = require('./helpers/mock-server')
+
+// Serve the given list of status codes in order, then 200 for anything after that.
+function startFlakyServer(statusCodes, headers = {}) {
+  let attempt = 0
+  return startMockServer((req, res) => {
+    attempt += 1
+    json(res, { attempt }, { statusCode: statusCodes[attempt - 1] || 200, headers })
+  })
+}
+
+const policy = { minDelay: 1, maxDelay: 50, jitter: false }
+
+test('resolvePolicy() only retries idempotent methods unless opted in', t => {
+  t.truthy(retry.resolvePolicy({}, undefined, 'GET'))
+  t.is(retry.resolvePolicy({}, undefined, 'POST'), null)
+  t.truthy(retry.resolvePolicy({}, true, 'POST'))
+  t.is(retry.resolvePolicy({}, { maxAttempts: 5 }, 'PUT').maxAttempts, 5)
+  t.is(retry.resolvePolicy({}, false, 'GET'), null)
+  t.is(retry.resolvePolicy(false, undefined, 'GET'), null)
+  t.truthy(retry.resolvePolicy(false, true, 'GET'))
+})
+
+test('parseRetryAfter() understands seconds and dates', t => {
+  t.is(retry.parseRetryAfter('3'), 3000)
+  t.is(retry.parseRetryAfter(undefined), null)
+  t.is(retry.parseRetryAfter('not a date'), null)
+  const ms = retry.parseRetryAfter(new Date(Date.now() + 5000).toUTCString())
+  t.true(ms > 3000 && ms <= 5000)
+})
+
+test('retryDelay() backs off exponentially and gives up', t => {
+  const policy = { ...retry.DEFAULT_POLICY, jitter: false, minDelay: 100, maxDelay: 1000, maxAttempts: 10 }
+  t.is(retry.retryDelay(policy, 1, { statusCode: 503 }), 100)
+  t.is(retry.retryDelay(policy, 3, { statusCode: 503 }), 400)
+  t.is(retry.retryDelay(policy, 8, { statusCode: 503 }), 1000)
+  t.is(retry.retryDelay(policy, 10, { statusCode: 503 }), -1)
+  t.is(retry.retryDelay(policy, 1, { statusCode: 400 }), -1)
+  t.is(retry.retryDelay(policy, 1, { code: 'ECONNRESET' }), 100)
+  t.is(retry.retryDelay(policy, 1, { statusCode: 429, headers: { 'retry-after': '0' } }), 0)
+  t.is(retry.retryDelay(policy, 1, { statusCode: 429, headers: { 'retry-after': '60' } }), -1)
+})
+
+test('call() retries a failing GET', t =>
+  withLoggedInClient(startFlakyServer([503, 502]), { retry: policy }, async (avanza, { requests }) => {
+    const result = await avanza.call('GET', '/_api/test')
+    t.deepEqual(result, { attempt: 3 })
+    t.is(requests.length, 3)
+  }))
+
+test('call() gives up after maxAttempts', t =>
+  withLoggedInClient(startFlakyServer([503, 503, 503, 503]), { retry: policy }, async (avanza, { requests }) => {
+    const error = await avanza.call('GET', '/_api/test').catch(e => e)
+    t.is(error.statusCode, 503)
+    t.is(requests.length, 3)
+  }))
+
+test('call() does not retry POST unless asked to', t =>
+  withLoggedInClient(startFlakyServer([503, 503]), { retry: policy }, async (avanza, { requests }) => {
+    const error = await avanza.call('POST', '/_api/test', {}).catch(e => e)
+    t.is(error.statusCode, 503)
+    t.is(requests.length, 1)
+
+    const result = await avanza.call('POST', '/_api/test', {}, { retry: true })
+    t.deepEqual(result, { attempt: 3 })
+  }))
+
+test('retries can be disabled client-wide', t =>
+  withLoggedInClient(startFlakyServer([503]), { retry: false }, async (avanza, { requests }) => {
+    const error = await avanza.call('GET', '/_api/test').catch(e => e)
+    t.is(error.statusCode, 503)
+    t.is(requests.length, 1)
+  }))
@@ -0,0 +1,140 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const errors = require('../dist/errors')
+const scheduler = require('../dist/scheduler')
+const { startMockServer, json, withLoggedInClient } = require('./helpers/mock-server')
+
+// Hold every GET until release() is called so that requests pile up in the queue. Logging out is answered at once.
+function startSlowServer() {
+  const pending = []
+  const release = () => pending.splice(0).forEach(respond => respond())
+  return startMockServer((req, res) => {
+    if (req.method !== 'GET') {
+      json(res, {})
+      return
+    }
+    pending.push(() => json(res, { url: req.url }))
+  }).then(mock => ({ ...mock, release }))
+}
+
+function deferred() {
+  let resolve
+  const promise = new Promise(r => {
+    resolve = r
+  })
+  return { promise, resolve }
+}
+
+test('groupFor() sorts endpoints into groups', t => {
+  t.is(scheduler.groupFor('POST', constants.paths.ORDER_PLACE_PATH), 'trading')
+  t.is(scheduler.groupFor('POST', constants.paths.ORDER_EDIT_PATH), 'trading')
+  t.is(scheduler.groupFor('GET', constants.paths.ORDERBOOK_PATH), 'market')
+  t.is(scheduler.groupFor('GET', constants.paths.ACCOUNTS_LIST_PATH), 'account')
+  t.is(scheduler.groupFor('GET', constants.paths.POSITIONS_PATH), 'account')
+  t.is(scheduler.groupFor('GET', constants.paths.INSTRUMENT_PATH), 'market')
+})
+
+test('Scheduler respects group concurrency', async t => {
+  const limiter = new scheduler.Scheduler({ groups: { market: { concurrency: 2 } } })
+  const gate = deferred()
+  let running = 0
+  let maxRunning = 0
+  const task = () => {
+    running += 1
+    maxRunning = Math.max(maxRunning, running)
+    return gate.promise.then(() => {
+      running -= 1
+    })
+  }
+  const all = Promise.all([1, 2, 3, 4].map(() => limiter.schedule('market', undefined, task)))
+  t.deepEqual(limiter.stats().groups.market, { active: 2, pending: 2 })
+  t.is(limiter.stats().pending, 2)
+  gate.resolve()
+  await all
+  t.is(maxRunning, 2)
+  t.deepEqual(limiter.stats().groups.market, { active: 0, pending: 0 })
+})
+
+test('Scheduler refills tokens over time', async t => {
+  const limiter = new scheduler.Scheduler({ groups: { market: { rate: 50, burst: 1 } } })
+  const started = Date.now()
+  await Promise.all([1, 2, 3].map(() => limiter.schedule('market', undefined, () => Promise.resolve())))
+  // One token up front, then one every 20ms
+  t.true(Date.now() - started >= 35)
+})
+
+test('Scheduler runs higher priority requests first', async t => {
+  const limiter = new scheduler.Scheduler({ concurrency: 1 })
+  const gate = deferred()
+  const order = []
+  const blocker = limiter.schedule('market', undefined, () => gate.promise)
+  const queued = [
+    limiter.schedule('market', undefined, () => order.push('market')),
+    limiter.schedule('account', undefined, () => order.push('account')),
+    limiter.schedule('trading', undefined, () => order.push('trading')),
+    limiter.schedule('market', 5, () => order.push('urgent')),
+  ]
+  gate.resolve()
+  await Promise.all([blocker, ...queued])
+  t.deepEqual(order, ['urgent', 'trading', 'account', 'market'])
+})
+
+test('Scheduler rejects unknown groups and passes errors through', async t => {
+  const limiter = new scheduler.Scheduler()
+  await t.throwsAsync(
+    limiter.schedule('nope', undefined, () => Promise.resolve()),
+    { instanceOf: errors.ValidationError, message: /Unknown request group/ }
+  )
+  await t.throwsAsync(
+    limiter.schedule('market', undefined, () => Promise.reject(new Error('boom'))),
+    { message: 'boom' }
+  )
+  t.is(limiter.stats().active, 0)
+})
+
+test('Scheduler rejects limits that would never let a request through', t => {
+  const invalid = [
+    { concurrency: 0 },
+    { concurrency: -1 },
+    { groups: { market: { rate: 0 } } },
+    { groups: { trading: { rate: -5 } } },
+    { groups: { account: { concurrency: 0 } } },
+    { groups: { market: { burst: 0.5 } } },
+    { groups: { custom: { rate: 'fast' } } },
+  ]
+  invalid.forEach(options => {
+    t.throws(() => new scheduler.Scheduler(options), { instanceOf: errors.ValidationError }, JSON.stringify(options))
+  })
+  t.throws(() => new Avanza({ rateLimit: { groups: { market: { rate: 0 } } } }), {
+    instanceOf: Avanza.ValidationError,
+    message: 'Rate limit rate of market must be a positive number, got 0.',
+  })
+  t.notThrows(() => new scheduler.Scheduler({ concurrency: 1, groups: { market: { rate: 0.5, burst: 1 } } }))
+})
+
+test('call() queues requests and reports queue depth', t =>
+  withLoggedInClient(
+    startSlowServer(),
+    { rateLimit: { groups: { market: { concurrency: 1 } } } },
+    async (avanza, { requests, release }) => {
+      const depths = []
+      avanza.on('queue', stats => depths.push(stats.pending))
+      const calls = [avanza.getInstrument('stock', '1'), avanza.getInstrument('stock', '2')]
+      t.is(avanza.getQueueStats().groups.market.pending, 1)
+      await new Promise(resolve => setTimeout(resolve, 50))
+      t.is(requests.length, 1)
+      release()
+      await new Promise(resolve => setTimeout(resolve, 50))
+      release()
+      await Promise.all(calls)
+      t.is(requests.length, 2)
+      t.is(avanza.getQueueStats().pending, 0)
+      t.true(depths.includes(1))
+    }
+  ))
+
+test('rate limiting can be disabled', t => {
+  t.is(new Avanza({ rateLimit: false }).getQueueStats(), null)
+})
@@ -0,0 +1,118 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const { startMockServer, json, loggedIn, withClient } = require('./helpers/mock-server')
+
+const credentials = { username: 'user', password: 'pass', totp: '123456' }
+
+function startSessionServer() {
+  const state = { logins: 0, failLogins: 0, invalidSession: false }
+  return startMockServer((req, res) => {
+    if (req.url === constants.paths.AUTHENTICATION_PATH) {
+      state.logins += 1
+      if (state.failLogins > 0) {
+        state.failLogins -= 1
+        json(res, {}, { statusCode: 503 })
+        return
+      }
+      loggedIn(res, { token: `token-${state.logins}` })
+      return
+    }
+    if (state.invalidSession) {
+      state.invalidSession = false
+      json(res, {}, { statusCode: 401, headers: { 'AZA-Invalid-Session': '-' } })
+      return
+    }
+    json(res, {})
+  }).then(mock => ({ ...mock, state }))
+}
+
+const withEvents = fn =>
+  withClient(startSessionServer(), { retry: false }, (avanza, { state }) => {
+    const events = []
+    ;['AUTHENTICATED', 'REAUTHENTICATING', 'REAUTH_FAILED', 'SESSION_EXPIRED', 'LOGGED_OUT'].forEach(name => {
+      avanza.on(Avanza[name], payload => events.push({ name, ...payload }))
+    })
+    return fn(avanza, state, events)
+  })
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+test('session events can not collide with push channels', t => {
+  ;[
+    Avanza.AUTHENTICATED,
+    Avanza.REAUTHENTICATING,
+    Avanza.REAUTH_FAILED,
+    Avanza.SESSION_EXPIRED,
+    Avanza.LOGGED_OUT,
+  ].forEach(name => {
+    t.regex(name, /^session:/)
+  })
+})
+
+test('logging in and disconnecting emit authenticated and loggedOut', t =>
+  withEvents(async (avanza, state, events) => {
+    await avanza.authenticate(credentials)
+    t.like(events[0], { name: 'AUTHENTICATED', method: 'password', customerId: 'customer', attempt: 0 })
+    t.true(events[0].expires > Date.now())
+
+    const loggedOut = []
+    avanza.on(Avanza.LOGGED_OUT, payload => loggedOut.push(payload))
+    await avanza.disconnect()
+    t.deepEqual(loggedOut, [{ reason: 'disconnect', sessionDeleted: true }])
+  }))
+
+test('disconnecting without a session does not emit loggedOut', t =>
+  withEvents(async (avanza, state, events) => {
+    await avanza.disconnect()
+    t.deepEqual(events, [])
+  }))
+
+test('an invalid session emits expired, reauthenticating and authenticated', t =>
+  withEvents(async (avanza, state, events) => {
+    await avanza.authenticate(credentials)
+    state.invalidSession = true
+    await avanza.call('GET', '/_api/test')
+    t.deepEqual(
+      events.map(event => event.name),
+      ['AUTHENTICATED', 'SESSION_EXPIRED', 'REAUTHENTICATING', 'AUTHENTICATED']
+    )
+    t.like(events[1], { reason: 'invalidSession', canReauthenticate: true })
+    t.like(events[2], { reason: 'invalidSession', attempt: 1 })
+    t.like(events[3], { method: 'password', attempt: 1 })
+    t.is(avanza._reauthAttempts, 0)
+  }))
+
+test('failed re-authentications report the attempt and the next one', t =>
+  withEvents(async (avanza, state, events) => {
+    await avanza.authenticate(credentials)
+    avanza._backoffCalc = () => 20
+    state.failLogins = 2
+    avanza._scheduleReauth(1, 'expiring')
+    await sleep(200)
+
+    const failures = events.filter(event => event.name === 'REAUTH_FAILED')
+    t.is(failures.length, 2)
+    t.like(failures[0], { reason: 'expiring', attempt: 1 })
+    t.like(failures[1], { reason: 'expiring', attempt: 2 })
+    t.truthy(failures[0].error)
+    t.true(failures[0].nextAttempt >= Date.now() - 200)
+
+    const last = events[events.length - 1]
+    t.like(last, { name: 'AUTHENTICATED', attempt: 3 })
+    t.is(avanza._reauthAttempts, 0)
+  }))
+
+test('a restored session emits authenticated', t =>
+  withEvents(async (avanza, state, events) => {
+    await avanza.restoreSession({
+      version: 1,
+      securityToken: 'token',
+      cookies: { version: 1, cookies: [] },
+      pushSubscriptionId: 'subscription',
+      customerId: 'customer',
+      expires: Date.now() + 60 * 60 * 1000,
+    })
+    t.like(events[0], { name: 'AUTHENTICATED', method: 'restore', attempt: 0 })
+  }))
@@ -0,0 +1,139 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const { startMockServer, json, loggedIn, stop } = require('./helpers/mock-server')
+
+const credentials = { username: 'user', password: 'pass', totp: '123456' }
+
+// Issues a new token and session cookie on every login and only accepts the latest ones.
+function startSessionServer() {
+  const state = { logins: 0, requests: [] }
+  return startMockServer((req, res) => {
+    if (req.url === constants.paths.AUTHENTICATION_PATH) {
+      json(res, { twoFactorLogin: { method: 'TOTP', transactionId: 'transaction' } })
+      return
+    }
+    if (req.url === constants.paths.TOTP_PATH) {
+      state.logins += 1
+      loggedIn(res, {
+        token: `token-${state.logins}`,
+        cookie: `csid=session-${state.logins}; Path=/`,
+        pushSubscriptionId: `subscription-${state.logins}`,
+      })
+      return
+    }
+    state.requests.push({ token: req.headers['x-securitytoken'], cookie: req.headers.cookie })
+    if (req.headers['x-securitytoken'] !== `token-${state.logins}`) {
+      json(res, {}, { statusCode: 401 })
+      return
+    }
+    json(res, { ok: true })
+  }).then(mock => ({ ...mock, state }))
+}
+
+async function withServer(fn) {
+  const mock = await startSessionServer()
+  const clients = []
+  const createClient = () => {
+    const avanza = new Avanza({ baseUrl: mock.baseUrl, retry: false })
+    clients.push(avanza)
+    return avanza
+  }
+  try {
+    await fn(createClient, mock.state)
+  } finally {
+    await Promise.all(clients.map(avanza => avanza.disconnect()))
+    stop(mock)
+  }
+}
+
+test('a restored session is used without logging in', t =>
+  withServer(async (createClient, state) => {
+    const first = createClient()
+    await first.authenticate(credentials)
+    const session = JSON.parse(JSON.stringify(first.exportSession()))
+    t.is(session.securityToken, 'token-1')
+    t.is(session.pushSubscriptionId, 'subscription-1')
+    t.is(session.customerId, 'customer')
+    t.true(session.expires > Date.now())
+
+    const second = createClient()
+    t.deepEqual(await second.restoreSession(session), {
+      securityToken: 'token-1',
+      pushSubscriptionId: 'subscription-1',
+      customerId: 'customer',
+    })
+    t.deepEqual(await second.call('GET', '/_api/test'), { ok: true })
+    t.is(state.logins, 1)
+    t.deepEqual(state.requests, [{ token: 'token-1', cookie: 'csid=session-1' }])
+  }))
+
+test('getSessionState() reports the session without asking Avanza', t =>
+  withServer(async (createClient, state) => {
+    const avanza = createClient()
+    t.deepEqual(avanza.getSessionState(), {
+      authenticated: false,
+      expires: null,
+      remaining: null,
+      socketConnected: false,
+    })
+    await avanza.authenticate(credentials)
+    const session = avanza.getSessionState()
+    t.true(session.authenticated)
+    t.is(session.expires, avanza.exportSession().expires)
+    t.true(session.remaining > 0 && session.remaining >= session.expires - Date.now())
+    t.false(session.socketConnected)
+    t.deepEqual(state.requests, [])
+  }))
+
+test('a stale session falls back to logging in', t =>
+  withServer(async (createClient, state) => {
+    const first = createClient()
+    await first.authenticate(credentials)
+    const session = first.exportSession()
+    await first.authenticate(credentials)
+
+    const second = createClient()
+    await second.restoreSession(session, credentials)
+    t.deepEqual(await second.call('GET', '/_api/test'), { ok: true })
+    t.is(state.logins, 3)
+    t.deepEqual(state.requests, [
+      { token: 'token-1', cookie: 'csid=session-1' },
+      { token: 'token-3', cookie: 'csid=session-3' },
+    ])
+  }))
+
+test('a stale session without credentials rejects the first call', t =>
+  withServer(async createClient => {
+    const first = createClient()
+    await first.authenticate(credentials)
+    const session = first.exportSession()
+    await first.authenticate(credentials)
+
+    const second = createClient()
+    await second.restoreSession(session)
+    await t.throwsAsync(second.call('GET', '/_api/test'), { instanceOf: Avanza.SessionExpiredError })
+  }))
+
+test('an expired session is replaced by a login right away', t =>
+  withServer(async (createClient, state) => {
+    const first = createClient()
+    await first.authenticate(credentials)
+    const session = { ...first.exportSession(), expires: Date.now() - 1000 }
+
+    await t.throwsAsync(createClient().restoreSession(session), { instanceOf: Avanza.AuthenticationError })
+    const restored = await createClient().restoreSession(session, credentials)
+    t.is(restored.securityToken, 'token-2')
+    t.is(state.logins, 2)
+  }))
+
+test('invalid sessions are rejected', async t => {
+  const avanza = new Avanza()
+  t.throws(() => avanza.exportSession(), { instanceOf: Avanza.AuthenticationError })
+  await t.throwsAsync(avanza.restoreSession({}), { instanceOf: Avanza.ValidationError })
+  await t.throwsAsync(avanza.restoreSession({ version: 2, securityToken: 'token', cookies: {} }), {
+    instanceOf: Avanza.ValidationError,
+  })
+  await avanza.disconnect()
+})
@@ -0,0 +1,130 @@
+const test = require('ava')
+const EventEmitter = require('events')
+const sinon = require('sinon')
+
+const Avanza = require('../dist/index')
+const subscription = require('../dist/subscription')
+
+// A client that believes it is connected to the push server.
+function createClient() {
+  const avanza = new Avanza()
+  avanza._authenticated = true
+  avanza._pushSubscriptionId = 'subscription'
+  avanza._socket = Object.assign(new EventEmitter(), { OPEN: 1, CLOSED: 3, readyState: 3, terminate() {} })
+  sinon.stub(avanza, '_socketSubscribe')
+  sinon.stub(avanza, '_socketUnsubscribe')
+  return avanza
+}
+
+function pushQuote(avanza, data) {
+  avanza._socketHandleMessage(JSON.stringify([{ channel: '/quotes/5479', data }]))
+}
+
+test('stream() yields push messages and unsubscribes when the loop ends', async t => {
+  const avanza = createClient()
+  const stream = avanza.stream(Avanza.QUOTES, '5479')
+  t.true(avanza._socketSubscribe.calledOnceWith('/quotes/5479'))
+
+  pushQuote(avanza, { lastPrice: 1 })
+  setTimeout(() => pushQuote(avanza, { lastPrice: 2 }), 10)
+
+  const prices = []
+  for await (const quote of stream) {
+    prices.push(quote.lastPrice)
+    if (prices.length === 2) {
+      break
+    }
+  }
+  t.deepEqual(prices, [1, 2])
+  t.true(avanza._socketUnsubscribe.calledOnceWith('/quotes/5479'))
+  t.is(avanza.listenerCount('/quotes/5479'), 0)
+})
+
+test('the socket subscription stays while others listen to the channel', async t => {
+  const avanza = createClient()
+  avanza.subscribe(Avanza.QUOTES, '5479', () => {})
+  const stream = avanza.stream(Avanza.QUOTES, '5479')
+  await stream.return()
+  t.true(avanza._socketUnsubscribe.notCalled)
+  t.is(avanza.listenerCount('/quotes/5479'), 1)
+})
+
+test('aborting the signal ends the loop with an AbortError', async t => {
+  const avanza = createClient()
+  const controller = new AbortController()
+  const stream = avanza.stream(Avanza.QUOTES, '5479', { signal: controller.signal })
+  setTimeout(() => controller.abort(), 10)
+  await t.throwsAsync(
+    async () => {
+      for await (const quote of stream) {
+        t.fail()
+      }
+    },
+    { instanceOf: Avanza.AbortError }
+  )
+  t.true(avanza._socketUnsubscribe.calledOnce)
+})
+
+test('disconnecting ends the loop', async t => {
+  const avanza = createClient()
+  const stream = avanza.stream(Avanza.QUOTES, '5479')
+  pushQuote(avanza, { lastPrice: 1 })
+  const disconnected = avanza.disconnect({ keepSession: true })
+
+  const quotes = []
+  for await (const quote of stream) {
+    quotes.push(quote)
+  }
+  await disconnected
+  t.deepEqual(quotes, [{ lastPrice: 1 }])
+})
+
+test('disconnecting ends the loop after the session was lost', async t => {
+  const avanza = createClient()
+  const stream = avanza.stream(Avanza.QUOTES, '5479')
+  // E.g. a login again that failed, so there will be no LOGGED_OUT
+  avanza._authenticated = false
+  const disconnected = avanza.disconnect()
+
+  const quotes = []
+  for await (const quote of stream) {
+    quotes.push(quote)
+  }
+  await disconnected
+  t.deepEqual(quotes, [])
+  t.is(avanza._streams.size, 0)
+})
+
+test('the overflow policy decides what a full buffer drops', async t => {
+  const read = async stream => {
+    const values = []
+    values.push((await stream.next()).value)
+    values.push((await stream.next()).value)
+    return values
+  }
+  const start = values => push => {
+    values.forEach(push)
+    return () => {}
+  }
+
+  const oldest = new subscription.Subscription(start([1, 2, 3]), { bufferSize: 2 })
+  t.deepEqual(await read(oldest), [2, 3])
+  t.is(oldest.dropped, 1)
+
+  const newest = new subscription.Subscription(start([1, 2, 3]), { bufferSize: 2, overflow: 'dropNewest' })
+  t.deepEqual(await read(newest), [1, 2])
+  t.is(newest.dropped, 1)
+
+  const failing = new subscription.Subscription(start([1, 2, 3]), { bufferSize: 2, overflow: 'error' })
+  t.deepEqual(await read(failing), [1, 2])
+  await t.throwsAsync(failing.next(), { instanceOf: Avanza.StreamOverflowError })
+  t.deepEqual(await failing.next(), { value: undefined, done: true })
+})
+
+test('stream() validates its options and needs a session', t => {
+  const avanza = createClient()
+  t.throws(() => avanza.stream(Avanza.QUOTES, '5479', { overflow: 'block' }), { instanceOf: Avanza.ValidationError })
+  t.throws(() => avanza.stream(Avanza.QUOTES, '5479', { bufferSize: 0 }), { instanceOf: Avanza.ValidationError })
+  t.true(avanza._socketSubscribe.notCalled)
+  t.throws(() => new Avanza().stream(Avanza.QUOTES, '5479'), { instanceOf: Avanza.AuthenticationError })
+})
@@ -0,0 +1,114 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const telemetry = require('../dist/telemetry')
+const { startMockServer, json, withLoggedInClient } = require('./helpers/mock-server')
+
+// Answers `/_api/flaky` with a 503 once, everything else with a small body.
+function startTelemetryServer() {
+  let flaky = 0
+  return startMockServer((req, res) => {
+    if (req.url === '/_api/flaky' && flaky === 0) {
+      flaky += 1
+      json(res, {}, { statusCode: 503 })
+      return
+    }
+    if (req.url === '/_api/missing') {
+      json(res, {}, { statusCode: 404 })
+      return
+    }
+    json(res, { ok: true })
+  })
+}
+
+function createTracer() {
+  const spans = []
+  return {
+    spans,
+    startSpan(name, options) {
+      const span = {
+        name,
+        options,
+        attributes: {},
+        events: [],
+        exceptions: [],
+        setAttributes(attributes) {
+          Object.assign(span.attributes, attributes)
+        },
+        addEvent(eventName, attributes) {
+          span.events.push({ name: eventName, attributes })
+        },
+        setStatus(status) {
+          span.status = status
+        },
+        recordException(error) {
+          span.exceptions.push(error)
+        },
+        end() {
+          span.ended = true
+        },
+      }
+      spans.push(span)
+      return span
+    },
+  }
+}
+
+test('routeFor() maps paths to their templates', t => {
+  t.is(telemetry.routeFor('/_api/market-guide/stock/5361'), constants.paths.STOCK_PATH)
+  t.is(telemetry.routeFor('/_api/market-guide/fund/5361'), constants.paths.INSTRUMENT_PATH)
+  t.is(telemetry.routeFor('/_api/account-overview/overview/account/123'), constants.paths.ACCOUNT_OVERVIEW_PATH)
+  t.is(telemetry.routeFor('/_api/unknown?query=1'), '/_api/unknown')
+})
+
+test('calls emit request and retry events', t =>
+  withLoggedInClient(startTelemetryServer(), { retry: { minDelay: 1, maxDelay: 1, jitter: false } }, async avanza => {
+    const events = []
+    avanza.on('telemetry', event => events.push(event))
+    await avanza.call('GET', '/_api/flaky')
+    await t.throwsAsync(avanza.call('GET', '/_api/missing'))
+
+    const [retry, flaky, missing] = events
+    t.is(retry.type, 'retry')
+    t.is(retry.attempt, 1)
+    t.is(retry.error.statusCode, 503)
+    t.is(flaky.type, 'request')
+    t.is(flaky.method, 'GET')
+    t.is(flaky.route, '/_api/flaky')
+    t.is(flaky.statusCode, 200)
+    t.is(flaky.bytes, Buffer.byteLength(JSON.stringify({ ok: true })))
+    t.is(flaky.attempts, 2)
+    t.true(flaky.duration >= 0)
+    t.is(typeof flaky.timestamp, 'number')
+    t.is(missing.statusCode, 404)
+    t.is(missing.error.name, 'AvanzaHttpError')
+  }))
+
+test('calls create spans on the tracer', t => {
+  const tracer = createTracer()
+  return withLoggedInClient(startTelemetryServer(), { tracer }, async avanza => {
+    await avanza.call('GET', '/_api/market-guide/stock/5361')
+    await t.throwsAsync(avanza.call('GET', '/_api/missing'))
+
+    const [ok, failed] = tracer.spans
+    t.is(ok.name, `GET ${constants.paths.STOCK_PATH}`)
+    t.is(ok.options.kind, telemetry.SPAN_KIND_CLIENT)
+    t.is(ok.options.attributes['url.path'], '/_api/market-guide/stock/5361')
+    t.is(ok.attributes['http.response.status_code'], 200)
+    t.is(ok.status.code, telemetry.SPAN_STATUS_OK)
+    t.true(ok.ended)
+    t.is(failed.status.code, telemetry.SPAN_STATUS_ERROR)
+    t.is(failed.exceptions.length, 1)
+    t.true(failed.ended)
+  })
+})
+
+test('push messages are counted per channel', t => {
+  const avanza = new Avanza()
+  const events = []
+  avanza.on('telemetry', event => events.push(event))
+  avanza._socketHandleMessage(JSON.stringify([{ channel: '/quotes/5361', data: {} }]))
+  t.is(events[0].type, 'socketMessage')
+  t.is(events[0].channel, '/quotes/5361')
+})
@@ -0,0 +1,104 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const errors = require('../dist/errors')
+const { startMockServer, json, withLoggedInClient } = require('./helpers/mock-server')
+
+// Never answers requests to /_api/hang, answers everything else with the status code in `statusCodes` or 200.
+function startHangingServer(statusCodes = []) {
+  const closed = []
+  let count = 0
+  return startMockServer((req, res) => {
+    count += 1
+    req.on('close', () => closed.push(req.url))
+    if (req.url.startsWith('/_api/hang')) {
+      return
+    }
+    json(res, { ok: true }, { statusCode: statusCodes[count - 1] || 200 })
+  }).then(mock => ({ ...mock, closed }))
+}
+
+const withHangingServer = (statusCodes, options, fn) =>
+  withLoggedInClient(startHangingServer(statusCodes), { retry: false, ...options }, fn)
+
+test('call() rejects with a TimeoutError and closes the socket', t =>
+  withHangingServer([], { timeout: 50 }, async (avanza, { closed }) => {
+    const error = await t.throwsAsync(avanza.call('GET', '/_api/hang'), { instanceOf: errors.TimeoutError })
+    t.is(error.code, 'ETIMEDOUT')
+    await new Promise(resolve => setTimeout(resolve, 20))
+    t.deepEqual(closed, ['/_api/hang'])
+  }))
+
+test('per-call timeout overrides the client default', t =>
+  withHangingServer([], { timeout: 10000 }, async avanza => {
+    const started = Date.now()
+    await t.throwsAsync(avanza.call('GET', '/_api/hang', {}, { timeout: 30 }), { instanceOf: errors.TimeoutError })
+    t.true(Date.now() - started < 5000)
+  }))
+
+test('timed out GETs are retried', t =>
+  withHangingServer([], { timeout: 30, retry: { minDelay: 1, jitter: false } }, async (avanza, { requests }) => {
+    await t.throwsAsync(avanza.call('GET', '/_api/hang'), { instanceOf: errors.TimeoutError })
+    t.is(requests.length, 3)
+  }))
+
+test('aborting an in-flight call rejects with an AbortError', t =>
+  withHangingServer([], {}, async (avanza, { requests }) => {
+    const controller = new AbortController()
+    const call = avanza.call('GET', '/_api/hang', {}, { signal: controller.signal })
+    await new Promise(resolve => setTimeout(resolve, 30))
+    controller.abort(new Error('Not needed anymore'))
+    const error = await t.throwsAsync(call, { instanceOf: errors.AbortError })
+    t.is(error.code, 'ABORT_ERR')
+    t.is(error.cause.message, 'Not needed anymore')
+    t.is(requests.length, 1)
+  }))
+
+test('an already aborted signal sends nothing', t =>
+  withHangingServer([], {}, async (avanza, { requests }) => {
+    await t.throwsAsync(avanza.search('abc', undefined, 10, { signal: AbortSignal.abort() }), {
+      instanceOf: errors.AbortError,
+    })
+    t.is(requests.length, 0)
+  }))
+
+test('aborting a queued call removes it from the queue', t =>
+  withHangingServer([], { rateLimit: { groups: { market: { concurrency: 1 } } } }, async (avanza, { requests }) => {
+    const controller = new AbortController()
+    const first = avanza.call('GET', '/_api/hang', {}, { timeout: 100 })
+    const second = avanza.call('GET', '/_api/test', {}, { signal: controller.signal })
+    t.is(avanza.getQueueStats().pending, 1)
+    controller.abort()
+    await t.throwsAsync(second, { instanceOf: errors.AbortError })
+    t.is(avanza.getQueueStats().pending, 0)
+    await t.throwsAsync(first, { instanceOf: errors.TimeoutError })
+    t.is(requests.length, 1)
+  }))
+
+test('aborting stops waiting for a retry', t =>
+  withHangingServer(
+    [503, 503],
+    { retry: { minDelay: 10000, maxDelay: 10000, jitter: false } },
+    async (avanza, { requests }) => {
+      const controller = new AbortController()
+      const call = avanza.call('GET', '/_api/test', {}, { signal: controller.signal })
+      await new Promise(resolve => setTimeout(resolve, 50))
+      controller.abort()
+      await t.throwsAsync(call, { instanceOf: errors.AbortError })
+      t.is(requests.length, 1)
+    }
+  ))
+
+test('public methods pass the signal on to call()', async t => {
+  const avanza = new Avanza()
+  const controller = new AbortController()
+  const calls = []
+  avanza.call = (...args) => {
+    calls.push(args)
+    return Promise.resolve({})
+  }
+  await avanza.getChartdata('5361', 'one_month', { signal: controller.signal })
+  await avanza.getTransactions('12345', undefined, { timeout: 100 })
+  t.is(calls[0][3].signal, controller.signal)
+  t.deepEqual(calls[1][3], { timeout: 100 })
+})
@@ -0,0 +1,125 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const totp = require('../dist/totp')
+const { startMockServer, readBody, json, loggedIn, withClient } = require('./helpers/mock-server')
+
+const totpSecret = 'JBSWY3DPEHPK3PXP'
+
+/*
+ * Avanza's clock stands still at `serverTime`, years away from ours. `accept`
+ * decides which TOTP codes it takes.
+ */
+function startTotpServer(serverTime, accept) {
+  const state = { codes: [] }
+  return startMockServer((req, res) => {
+    readBody(req).then(body => {
+      const headers = { Date: new Date(serverTime).toUTCString() }
+      if (req.url === constants.paths.AUTHENTICATION_PATH) {
+        json(res, { twoFactorLogin: { method: 'TOTP', transactionId: 'transaction' } }, { headers })
+        return
+      }
+      if (req.url === constants.paths.TOTP_PATH) {
+        const { totpCode } = JSON.parse(body)
+        state.codes.push(totpCode)
+        if (!accept(totpCode)) {
+          json(res, { message: 'Wrong code' }, { statusCode: 401, headers })
+          return
+        }
+        res.setHeader('Date', headers.Date)
+        loggedIn(res)
+        return
+      }
+      json(res, {}, { headers })
+    })
+  }).then(mock => ({ ...mock, state }))
+}
+
+const withTotpServer = (serverTime, accept, fn) =>
+  withClient(startTotpServer(serverTime, accept), { retry: false }, (avanza, { state }) => fn(avanza, state))
+
+// Five seconds into a period, on a whole second as the Date header has no more
+const PERIOD_START = 1500000000000 - (1500000000000 % 30000)
+const EARLY = PERIOD_START + 5000
+
+const codeAt = (timestamp, offset = 0) => totp.generate(totpSecret, { timestamp, offset })
+
+test('codes are generated by the clock of Avanza', t => {
+  const expected = codeAt(EARLY)
+  return withTotpServer(
+    EARLY,
+    code => code === expected,
+    async (avanza, state) => {
+      await avanza.authenticate({ username: 'user', password: 'pass', totpSecret })
+      t.deepEqual(state.codes, [expected])
+    }
+  )
+})
+
+test('a code about to expire is waited out', t => {
+  const serverTime = PERIOD_START + 29000
+  const next = codeAt(serverTime, 1)
+  return withTotpServer(
+    serverTime,
+    code => code === next,
+    async (avanza, state) => {
+      const started = Date.now()
+      await avanza.authenticate({ username: 'user', password: 'pass', totpSecret })
+      t.deepEqual(state.codes, [next])
+      t.true(Date.now() - started >= 400)
+    }
+  )
+})
+
+test('a rejected code is retried once with the adjacent period', t => {
+  const previous = codeAt(EARLY, -1)
+  return withTotpServer(
+    EARLY,
+    code => code === previous,
+    async (avanza, state) => {
+      await avanza.authenticate({ username: 'user', password: 'pass', totpSecret })
+      t.deepEqual(state.codes, [codeAt(EARLY), previous])
+    }
+  )
+})
+
+test('late in a period the next code is tried', t => {
+  const serverTime = PERIOD_START + 20000
+  const next = codeAt(serverTime, 1)
+  return withTotpServer(
+    serverTime,
+    code => code === next,
+    async (avanza, state) => {
+      await avanza.authenticate({ username: 'user', password: 'pass', totpSecret })
+      t.deepEqual(state.codes, [codeAt(serverTime), next])
+    }
+  )
+})
+
+test('a login rejecting both codes fails with a TwoFactorError', t =>
+  withTotpServer(
+    EARLY,
+    () => false,
+    async (avanza, state) => {
+      const error = await t.throwsAsync(avanza.authenticate({ username: 'user', password: 'pass', totpSecret }), {
+        instanceOf: Avanza.TwoFactorError,
+      })
+      t.regex(error.message, /two adjacent periods were rejected/)
+      t.is(error.cause.statusCode, 401)
+      t.is(state.codes.length, 2)
+    }
+  ))
+
+test('a given code is sent once', t =>
+  withTotpServer(
+    EARLY,
+    () => false,
+    async (avanza, state) => {
+      await t.throwsAsync(avanza.authenticate({ username: 'user', password: 'pass', totp: '123456' }), {
+        instanceOf: Avanza.TwoFactorError,
+        message: 'Wrong code',
+      })
+      t.deepEqual(state.codes, ['123456'])
+    }
+  ))
@@ -0,0 +1,156 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const totp = require('../dist/totp')
+
+// Seeds of RFC 6238 appendix B, one per algorithm
+const SEEDS = {
+  SHA1: Buffer.from('12345678901234567890'),
+  SHA256: Buffer.from('12345678901234567890123456789012'),
+  SHA512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234'),
+}
+
+// RFC 6238 appendix B: [seconds since the epoch, SHA1, SHA256, SHA512]
+const RFC6238_VECTORS = [
+  [59, '94287082', '46119246', '90693936'],
+  [1111111109, '07081804', '68084774', '25091201'],
+  [1111111111, '14050471', '67062674', '99943326'],
+  [1234567890, '89005924', '91819424', '93441116'],
+  [2000000000, '69279037', '90698825', '38618901'],
+  [20000000000, '65353130', '77737706', '47863826'],
+]
+
+// RFC 4226 appendix D, counters 0 to 9
+const RFC4226_VECTORS = [
+  '755224',
+  '287082',
+  '359152',
+  '969429',
+  '338314',
+  '254676',
+  '287922',
+  '162583',
+  '399871',
+  '520489',
+]
+
+// RFC 4648 section 10
+const BASE32_VECTORS = [
+  ['', ''],
+  ['f', 'MY======'],
+  ['fo', 'MZXQ===='],
+  ['foo', 'MZXW6==='],
+  ['foob', 'MZXW6YQ='],
+  ['fooba', 'MZXW6YTB'],
+  ['foobar', 'MZXW6YTBOI======'],
+]
+
+RFC6238_VECTORS.forEach(([seconds, ...codes]) => {
+  test(`generate() matches RFC 6238 at ${seconds}`, t => {
+    ;['SHA1', 'SHA256', 'SHA512'].forEach((algorithm, i) => {
+      t.is(totp.generate(SEEDS[algorithm], { timestamp: seconds * 1000, digits: 8, algorithm }), codes[i])
+    })
+  })
+})
+
+test('hotp() matches RFC 4226', t => {
+  RFC4226_VECTORS.forEach((code, counter) => {
+    t.is(totp.hotp(SEEDS.SHA1, counter), code)
+  })
+})
+
+test('base32 round-trips the RFC 4648 vectors', t => {
+  BASE32_VECTORS.forEach(([text, encoded]) => {
+    t.is(totp.base32Encode(Buffer.from(text)), encoded)
+    t.is(totp.base32Decode(encoded).toString(), text)
+    t.is(totp.base32Decode(encoded.replace(/=/g, '')).toString(), text)
+  })
+})
+
+test('base32Decode() ignores whitespace and case', t => {
+  t.is(totp.base32Decode('mzxw 6ytb oi').toString(), 'foobar')
+})
+
+test('base32Decode() rejects characters outside the alphabet', t => {
+  const error = t.throws(() => totp.base32Decode('MZXW1YTB'), { instanceOf: Avanza.ValidationError })
+  t.is(error.message, "Invalid base32 character '1' at position 4.")
+  t.throws(() => totp.base32Decode('MZXW6===YQ'), { message: /character 'Y' at position 8/ })
+})
+
+test('base32Decode() rejects incomplete bytes and wrong padding', t => {
+  t.throws(() => totp.base32Decode('MZX'), { message: /length 3/ })
+  t.throws(() => totp.base32Decode('MZXW6=='), { message: /expected 3 '=' but got 2/ })
+})
+
+test('the legacy signature still works', t => {
+  const secret = totp.base32Encode(SEEDS.SHA1)
+  t.is(totp(secret), totp.generate(secret))
+  t.is(totp(secret, 30, 8), totp.generate(secret, { digits: 8 }))
+})
+
+test('parseUri() reads the otpauth format', t => {
+  const parsed = totp.parseUri(
+    'otpauth://totp/Avanza:user%40example.com?secret=jbsw%20y3dp%20ehpk%203pxp&algorithm=SHA256&digits=8&period=60'
+  )
+  t.deepEqual(parsed, {
+    type: 'totp',
+    label: 'Avanza:user@example.com',
+    issuer: 'Avanza',
+    account: 'user@example.com',
+    secret: 'JBSWY3DPEHPK3PXP',
+    algorithm: 'SHA256',
+    digits: 8,
+    period: 60,
+  })
+  t.is(totp.parseUri('otpauth://totp/user?secret=JBSWY3DPEHPK3PXP&issuer=Avanza').issuer, 'Avanza')
+})
+
+test('parseUri() rejects other URIs', t => {
+  t.throws(() => totp.parseUri('otpauth://hotp/user?secret=JBSWY3DPEHPK3PXP'), { message: /hotp/ })
+  t.throws(() => totp.parseUri('https://example.com/?secret=JBSWY3DPEHPK3PXP'), { message: /otpauth/ })
+  t.throws(() => totp.parseUri('otpauth://totp/user'), { message: /no secret/ })
+  t.throws(() => totp.parseUri('otpauth://totp/user?secret=JBSWY3DP&digits=4'), { message: /digits/ })
+  t.throws(() => totp.parseUri('not a uri'), { instanceOf: Avanza.ValidationError })
+})
+
+test('generate() takes its parameters from an otpauth URI', t => {
+  const secret = totp.base32Encode(SEEDS.SHA512, { padding: false })
+  const uri = `otpauth://totp/Avanza?secret=${secret}&algorithm=SHA512&digits=8&period=30`
+  t.is(totp.generate(uri, { timestamp: 59000 }), '90693936')
+  t.is(totp.generate(totp.parseUri(uri), { timestamp: 59000 }), '90693936')
+  // Explicit options win
+  t.is(totp.generate(uri, { timestamp: 59000, digits: 6 }), '693936')
+})
+
+test('generate() rejects bad parameters', t => {
+  t.throws(() => totp.generate(''), { message: 'Missing TOTP secret.' })
+  t.throws(() => totp.generate(SEEDS.SHA1, { algorithm: 'MD5' }), { message: /Unsupported TOTP algorithm MD5/ })
+  t.throws(() => totp.generate(SEEDS.SHA1, { timestamp: NaN }), { message: /timestamp/ })
+})
+
+test('verify() accepts codes within the window and reports their offset', t => {
+  const timestamp = 1111111111 * 1000
+  const previous = totp.generate(SEEDS.SHA1, { timestamp: timestamp - 30000 })
+  const next = totp.generate(SEEDS.SHA1, { timestamp: timestamp + 30000 })
+  const current = totp.generate(SEEDS.SHA1, { timestamp })
+  t.is(totp.verify(current, SEEDS.SHA1, { timestamp }), 0)
+  t.is(totp.verify(previous, SEEDS.SHA1, { timestamp }), -1)
+  t.is(totp.verify(next, SEEDS.SHA1, { timestamp }), 1)
+  t.is(totp.verify(previous, SEEDS.SHA1, { timestamp, window: 0 }), null)
+  t.is(totp.verify('000000', SEEDS.SHA1, { timestamp }), null)
+  t.is(totp.verify(`${current.slice(0, 3)} ${current.slice(3)}`, SEEDS.SHA1, { timestamp }), 0)
+})
+
+test('the helpers are exposed on the constructor', t => {
+  t.is(Avanza.totp.generate, totp.generate)
+  t.is(Avanza.totp.verify, totp.verify)
+  t.is(Avanza.totp.parseUri, totp.parseUri)
+})
+
+test('timeRemaining() and offset move between periods', t => {
+  const timestamp = 1111111109 * 1000
+  t.is(totp.timeRemaining(SEEDS.SHA1, { timestamp }), 1000)
+  t.is(totp.timeRemaining(SEEDS.SHA1, { timestamp, period: 60 }), 31000)
+  t.is(totp.generate(SEEDS.SHA1, { timestamp, offset: 1 }), totp.generate(SEEDS.SHA1, { timestamp: timestamp + 30000 }))
+  t.deepEqual(totp.parameters(SEEDS.SHA1, { digits: 8 }), { algorithm: 'SHA1', digits: 8, period: 30 })
+})
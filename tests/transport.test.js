@@ -0,0 +1,43 @@
+const test = require('ava')
+
+const Avanza = require('../dist/index')
+const constants = require('../dist/constants')
+const { startMockServer, json, loggedIn, withClient } = require('./helpers/mock-server')
+
+// Minimal stand-in for the Avanza REST API. Responds to the login endpoint and
+// echoes every other request back as JSON.
+function startTransportServer() {
+  return startMockServer((req, res) => {
+    if (req.url === constants.paths.AUTHENTICATION_PATH) {
+      loggedIn(res, { token: 'mock-token', pushSubscriptionId: 'mock-subscription', customerId: 'mock-customer' })
+      return
+    }
+    json(res, { method: req.method, url: req.url })
+  })
+}
+
+test('defaults to avanza.se', t => {
+  const avanza = new Avanza()
+  t.is(avanza._baseUrl.href, 'https://www.avanza.se/')
+  t.is(avanza._socketUrl, 'wss://www.avanza.se/_push/cometd')
+})
+
+test('derives socket URL from baseUrl', t => {
+  t.is(new Avanza({ baseUrl: 'http://localhost:8080' })._socketUrl, 'ws://localhost:8080/_push/cometd')
+  t.is(new Avanza({ baseUrl: 'https://staging.example.com' })._socketUrl, 'wss://staging.example.com/_push/cometd')
+})
+
+test('explicit socketUrl wins over derived one', t => {
+  const avanza = new Avanza({ baseUrl: 'http://localhost:8080', socketUrl: 'ws://localhost:9090/push' })
+  t.is(avanza._socketUrl, 'ws://localhost:9090/push')
+})
+
+test('authenticate() and call() go to the configured base URL', t =>
+  withClient(startTransportServer(), {}, async (avanza, { requests }) => {
+    const session = await avanza.authenticate({ username: 'user', password: 'pass' })
+    t.is(session.securityToken, 'mock-token')
+
+    const result = await avanza.getAccountsList()
+    t.deepEqual(result, { method: 'GET', url: constants.paths.ACCOUNTS_LIST_PATH })
+    t.is(requests[1].headers['x-securitytoken'], 'mock-token')
+  }))